@@ -1,22 +1,171 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
+// Scopes that can be granted to personal access tokens
+const PERSONAL_TOKEN_SCOPES = [
+  "read",
+  "expense:write",
+  "income:write",
+  "import",
+];
+
 // User Schema
 const UserSchema = new mongoose.Schema(
   {
     email: { type: String, required: true, unique: true },
     hashedPassword: { type: String, required: true },
+    // "service" accounts are used by schedulers to trigger report emails
+    role: { type: String, enum: ["user", "admin", "service"], default: "user" },
+    // Accounts created before self-registration (seeder) are treated as verified,
+    // /register explicitly sets this to false until the email link is opened
+    isVerified: { type: Boolean, default: true },
+    emailVerificationNonce: { type: String, default: null }, // Makes the verification link one-time
+    passwordResetTokenHash: { type: String, default: null },
+    passwordResetExpires: { type: Date, default: null },
+    passwordChangedAt: { type: Date, default: null }, // Tokens issued before this are rejected
+    // Optional TOTP two-factor authentication
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null },
+      pendingSecret: { type: String, default: null }, // Set during enrollment until the first code is verified
+      recoveryCodeHashes: [{ type: String }], // One-time codes, removed once used
+      lastUsedStep: { type: Number, default: 0 }, // Blocks replaying the same code
+      enabledAt: { type: Date, default: null },
+    },
+    // Display and date bucketing settings used by the stats routes and emails
+    preferences: {
+      currency: { type: String, default: "INR" }, // ISO 4217 base currency
+      locale: { type: String, default: "en-IN" },
+      timezone: { type: String, default: "UTC" }, // IANA timezone, e.g. "Asia/Kolkata"
+      weekStartsOn: { type: Number, min: 0, max: 6, default: 0 }, // 0 = Sunday
+      fiscalYearStartMonth: { type: Number, min: 1, max: 12, default: 1 }, // 1 = January
+    },
+    // Delivery channels per notification type, missing types use the defaults
+    notificationPreferences: {
+      type: Map,
+      of: new mongoose.Schema(
+        { inApp: { type: Boolean }, email: { type: Boolean } },
+        { _id: false }
+      ),
+      default: {},
+    },
+    // Set when the user asked to delete the account with a grace period
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null },
+    // Personal access tokens for scripts and automations (only the hash is stored)
+    apiTokens: [
+      {
+        name: { type: String, required: true },
+        tokenHash: { type: String, required: true },
+        tokenPrefix: { type: String, required: true }, // First characters, to tell tokens apart
+        scopes: [{ type: String, enum: PERSONAL_TOKEN_SCOPES }],
+        expiresAt: { type: Date, default: null },
+        lastUsedAt: { type: Date, default: null },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Hash a plain password the same way for every account
+UserSchema.statics.hashPassword = async function (password) {
+  return bcrypt.hash(password, 10);
+};
+
 // Compare the hashed password during login
 UserSchema.methods.comparePassword = async function (password) {
   return bcrypt.compare(password, this.hashedPassword);
 };
 
+// Replace the password and invalidate tokens issued before the change
+UserSchema.methods.setPassword = async function (password) {
+  this.hashedPassword = await this.constructor.hashPassword(password);
+  this.passwordChangedAt = new Date();
+  this.passwordResetTokenHash = null;
+  this.passwordResetExpires = null;
+};
+
+// Check whether a token issued at `iat` (seconds) predates the last password change
+UserSchema.methods.changedPasswordAfter = function (iat) {
+  if (!this.passwordChangedAt) return false;
+  return iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+UserSchema.index({ "apiTokens.tokenHash": 1 });
+
 const User = mongoose.model("User", UserSchema);
 
+// Session Schema (one per logged in device, holds the rotating refresh token)
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    deviceName: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHashes: [{ type: String }], // Rotated tokens, used to detect reuse
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout-all", "password-change", "reuse-detected"],
+    },
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", SessionSchema);
+
+// Ledger Schema (shared household ledger with invited members)
+const LedgerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Creator and owner of the ledger
+    name: { type: String, required: true },
+    members: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["owner", "editor", "viewer"],
+          required: true,
+        },
+        joinedAt: { type: Date, default: Date.now },
+      },
+    ],
+    invitations: [
+      {
+        email: { type: String, required: true },
+        role: { type: String, enum: ["editor", "viewer"], required: true },
+        tokenHash: { type: String, required: true },
+        invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        expiresAt: { type: Date, required: true },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+LedgerSchema.index({ "members.userId": 1 });
+
+const Ledger = mongoose.model("Ledger", LedgerSchema);
+
 // Category Schema
 const CategorySchema = new mongoose.Schema(
   {
@@ -25,6 +174,16 @@ const CategorySchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    }, // Optional parent for subcategories, e.g. Food > Groceries
     name: { type: String, required: true },
     type: { type: String, enum: ["income", "expense"], required: true }, // Specifies if it's for income or expense
     threshold: { type: Number, default: null }, // Optional threshold for expenses
@@ -32,8 +191,83 @@ const CategorySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+CategorySchema.index({ parentId: 1 });
+
 const Category = mongoose.model("Category", CategorySchema);
 
+const BUDGET_PERIODS = ["weekly", "monthly", "yearly"];
+
+// Budget Schema (limit of a category per period). A category keeps one entry per
+// change, the one with the latest effectiveFrom before a date applies to it.
+const BudgetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Same ledger as the category
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    period: { type: String, enum: BUDGET_PERIODS, required: true },
+    effectiveFrom: { type: Date, required: true },
+    rollover: { type: Boolean, default: false }, // Carry unused amounts into the next period
+  },
+  { timestamps: true }
+);
+
+BudgetSchema.index({ categoryId: 1, effectiveFrom: 1 });
+
+const Budget = mongoose.model("Budget", BudgetSchema);
+
+const ACCOUNT_TYPES = ["bank", "credit-card", "wallet", "cash", "other"];
+
+// Set on incomes, expenses and transfers matched to a bank statement line.
+// Transfers keep them per side as they appear on two accounts' statements.
+// Cleared transactions of a reconciled period cannot be edited.
+const CLEARING_FIELDS = {
+  reconciliationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Reconciliation",
+    default: null,
+  },
+  statementLineId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  clearedAt: { type: Date, default: null },
+};
+
+// Account Schema (bank accounts, cards, UPI wallets, cash)
+const AccountSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    name: { type: String, required: true },
+    type: { type: String, enum: ACCOUNT_TYPES, required: true },
+    currency: { type: String, required: true }, // ISO 4217, defaults to the user's currency
+    openingBalance: { type: Number, default: 0 },
+    openingDate: { type: Date, default: null }, // Only entries from this date on count, null = all
+    archived: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+const Account = mongoose.model("Account", AccountSchema);
+
 // Income Schema
 const IncomeSchema = new mongoose.Schema(
   {
@@ -42,15 +276,31 @@ const IncomeSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
       required: true,
     },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    }, // Bank account, card, wallet or cash the money moved through
     amount: { type: Number, required: true },
     source: { type: String, required: true },
     date: { type: Date, default: Date.now },
     type: { type: String, enum: ["fixed", "variable"], required: true },
+    recurringId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recurring",
+      default: null,
+    }, // Set when posted by a recurring template
+    ...CLEARING_FIELDS,
   },
   { timestamps: true }
 );
@@ -65,22 +315,293 @@ const ExpenseSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Category",
       required: true,
     },
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    }, // Bank account, card, wallet or cash the money moved through
     amount: { type: Number, required: true },
     description: { type: String },
     date: { type: Date, default: Date.now },
     type: { type: String, enum: ["fixed", "variable"], required: true },
     needOrWant: { type: String, enum: ["need", "want"], required: true },
+    recurringId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Recurring",
+      default: null,
+    }, // Set when posted by a recurring template
+    loanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Loan",
+      default: null,
+    }, // Set for EMI and prepayment expenses of a loan
+    principalAmount: { type: Number, default: null }, // Loan EMI split
+    interestAmount: { type: Number, default: null },
+    ...CLEARING_FIELDS,
   },
   { timestamps: true }
 );
 
 const Expense = mongoose.model("Expense", ExpenseSchema);
 
+// Transfer Schema (money moved between two accounts, not income or spending)
+const TransferSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    fromAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    toAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    date: { type: Date, default: Date.now },
+    description: { type: String },
+    fromClearing: CLEARING_FIELDS, // Statement of the account debited
+    toClearing: CLEARING_FIELDS, // Statement of the account credited
+  },
+  { timestamps: true }
+);
+
+const Transfer = mongoose.model("Transfer", TransferSchema);
+
+// Reconciliation Schema (an account statement period checked line by line
+// against the app). Matched incomes, expenses and transfers point back at the
+// reconciliation and statement line they cleared.
+const ReconciliationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Copied from the account
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    statementOpeningBalance: { type: Number, required: true },
+    statementClosingBalance: { type: Number, required: true },
+    lines: [
+      {
+        date: { type: Date, required: true },
+        amount: { type: Number, required: true }, // Negative for money going out
+        description: { type: String },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "reconciled"],
+      default: "open",
+    },
+    reconciledAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+ReconciliationSchema.index({ accountId: 1, periodStart: 1 });
+
+const Reconciliation = mongoose.model("Reconciliation", ReconciliationSchema);
+
+const HOLDING_KINDS = ["asset", "liability"];
+
+// Holding Schema (investments, property, loans, card debt...) valued by dated
+// snapshots. The latest valuation on or before a date is its value then.
+const HoldingSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    name: { type: String, required: true },
+    kind: { type: String, enum: HOLDING_KINDS, required: true },
+    type: { type: String }, // Free text, e.g. "mutual fund", "home loan"
+    currency: { type: String, required: true }, // ISO 4217, defaults to the user's currency
+    valuations: [
+      {
+        date: { type: Date, required: true },
+        value: { type: Number, required: true, min: 0 }, // Amount owed for liabilities
+        note: { type: String },
+      },
+    ],
+    archived: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+const Holding = mongoose.model("Holding", HoldingSchema);
+
+// Goal Schema (saving towards a target). Progress is the balance of the linked
+// account, or the sum of the manual contributions when there is none.
+const GoalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    name: { type: String, required: true },
+    targetAmount: { type: Number, required: true, min: 0 },
+    targetDate: { type: Date, default: null },
+    startDate: { type: Date, default: Date.now }, // Contribution rate is measured from here
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    contributions: [
+      {
+        date: { type: Date, default: Date.now },
+        amount: { type: Number, required: true }, // Negative for withdrawals
+        note: { type: String },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const Goal = mongoose.model("Goal", GoalSchema);
+
+// Loan Schema (home, car, personal loans repaid in monthly EMIs). EMI
+// expenses point at the loan and store their principal/interest split.
+const LoanSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    name: { type: String, required: true },
+    lender: { type: String },
+    principal: { type: Number, required: true, min: 0 },
+    annualRate: { type: Number, required: true, min: 0 }, // Percent per year
+    tenureMonths: { type: Number, required: true, min: 1 },
+    startDate: { type: Date, required: true }, // Due date of the first EMI
+    emi: { type: Number, required: true, min: 0 }, // Computed unless given
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    }, // Category of the EMI expenses
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    }, // Account the EMIs are paid from
+  },
+  { timestamps: true }
+);
+
+const Loan = mongoose.model("Loan", LoanSchema);
+
+// Contact Schema (people money is lent to or borrowed from)
+const ContactSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    name: { type: String, required: true },
+    email: { type: String },
+    phone: { type: String },
+    note: { type: String },
+  },
+  { timestamps: true }
+);
+
+const Contact = mongoose.model("Contact", ContactSchema);
+
+// Lent and borrowed are new debts, repayments settle them
+const IOU_KINDS = ["lent", "borrowed", "repayment-received", "repayment-made"];
+
+// IOU Entry Schema (money lent to or borrowed from a contact). These are not
+// income or spending but still move money in and out of accounts.
+const IouEntrySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Contact",
+      required: true,
+    },
+    kind: { type: String, enum: IOU_KINDS, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    date: { type: Date, default: Date.now },
+    description: { type: String },
+    dueDate: { type: Date, default: null }, // When lent or borrowed money should be back
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    ...CLEARING_FIELDS,
+  },
+  { timestamps: true }
+);
+
+const IouEntry = mongoose.model("IouEntry", IouEntrySchema);
+
 // Trip Schema
 const TripSchema = new mongoose.Schema(
   {
@@ -89,16 +610,125 @@ const TripSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
     name: { type: String, required: true },
     startDate: { type: Date, required: true },
     endDate: { type: Date },
     expenses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Expense" }],
+    plannedBudget: { type: Number, min: 0, default: null },
+    goalId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Goal",
+      default: null,
+    }, // Savings goal funding the planned budget
   },
   { timestamps: true }
 );
 
 const Trip = mongoose.model("Trip", TripSchema);
 
+const RECURRING_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+
+// Recurring Schema (templates for rent, SIPs, subscriptions, salary...).
+// The scheduler posts an Expense/Income (or sends a reminder) for every
+// occurrence of the rule between startDate and endDate.
+const RecurringSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    kind: { type: String, enum: ["expense", "income"], required: true },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: true,
+    },
+    amount: { type: Number, required: true },
+    description: { type: String, required: true }, // Expense description or income source
+    type: { type: String, enum: ["fixed", "variable"], default: "fixed" },
+    needOrWant: { type: String, enum: ["need", "want"] }, // Expenses only
+    tripId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Trip",
+      default: null,
+    }, // Posted expenses are added to this trip
+    rule: {
+      frequency: {
+        type: String,
+        enum: RECURRING_FREQUENCIES,
+        required: true,
+      },
+      interval: { type: Number, min: 1, default: 1 }, // e.g. 2 = every 2 weeks
+      dayOfMonth: { type: Number, min: 1, max: 31 }, // Monthly/yearly, defaults to the start day
+      month: { type: Number, min: 1, max: 12 }, // Yearly, defaults to the start month
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, default: null },
+    mode: { type: String, enum: ["auto-post", "remind"], default: "auto-post" },
+    active: { type: Boolean, default: true },
+    occurrenceIndex: { type: Number, default: 0 }, // Index of the next occurrence of the rule
+    nextRunAt: { type: Date, default: null }, // Null once the template has ended
+    lastRunAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+RecurringSchema.index({ active: 1, nextRunAt: 1 });
+
+const Recurring = mongoose.model("Recurring", RecurringSchema);
+
+// Bill Schema (payments due on fixed dates, e.g. credit card, electricity).
+// A bill counts as paid when a matching expense is found around its due date.
+const BillSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ledgerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ledger",
+      default: null,
+    }, // Set when the document belongs to a shared ledger
+    payee: { type: String, required: true }, // Matched against expense descriptions
+    expectedAmount: { type: Number, required: true },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    }, // Expenses in this category also count as payments
+    rule: {
+      frequency: {
+        type: String,
+        enum: RECURRING_FREQUENCIES,
+        required: true,
+      },
+      interval: { type: Number, min: 1, default: 1 },
+      dayOfMonth: { type: Number, min: 1, max: 31 },
+      month: { type: Number, min: 1, max: 12 },
+    }, // Due rule, same format as recurring templates
+    startDate: { type: Date, required: true }, // First due date
+    endDate: { type: Date, default: null },
+    reminderDaysBefore: { type: Number, min: 0, max: 60, default: 3 },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+const Bill = mongoose.model("Bill", BillSchema);
+
 // Report Schema (Optional for Email Reminders)
 const ReportSchema = new mongoose.Schema(
   {
@@ -144,12 +774,92 @@ const ImportConfiguration = mongoose.model(
   ImportConfigurationSchema
 );
 
+// Data Export Schema (background export jobs for large accounts)
+const DataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "ready", "failed"],
+      default: "pending",
+    },
+    storedFileName: { type: String }, // File name inside the exports directory
+    downloadTokenHash: { type: String },
+    completedAt: { type: Date },
+    expiresAt: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+const DataExport = mongoose.model("DataExport", DataExportSchema);
+
+const NOTIFICATION_TYPES = [
+  "budget-alert",
+  "recurring-reminder",
+  "bill-reminder",
+  "import-completed",
+  "iou-reminder",
+];
+
+// Notification Schema (in-app notifications)
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    title: { type: String, required: true },
+    message: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} }, // Type specific details, e.g. categoryId
+    readAt: { type: Date, default: null },
+    inApp: { type: Boolean, default: true }, // False for email-only deliveries, kept for de-duplication
+    dedupeKey: { type: String }, // Notifications with the same key are only sent once
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index(
+  { userId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+
 module.exports = {
   User,
+  Session,
+  Ledger,
   Category,
+  Budget,
+  Account,
   Income,
   Expense,
+  Transfer,
+  Reconciliation,
+  Holding,
+  Goal,
+  Loan,
+  Contact,
+  IouEntry,
   Trip,
+  Recurring,
+  Bill,
   Report,
   ImportConfiguration,
+  DataExport,
+  Notification,
+  PERSONAL_TOKEN_SCOPES,
+  BUDGET_PERIODS,
+  ACCOUNT_TYPES,
+  HOLDING_KINDS,
+  IOU_KINDS,
+  RECURRING_FREQUENCIES,
+  NOTIFICATION_TYPES,
 };
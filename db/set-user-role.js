@@ -0,0 +1,45 @@
+// Usage: node db/set-user-role.js <email> <user|admin|service> [password]
+// Bootstraps the first admin or a service account used by the report scheduler.
+// When the user does not exist and a password is given, the account is created.
+const mongoose = require("mongoose");
+require("dotenv").config();
+const connectDB = require("./db");
+const { User } = require("./model");
+
+const setUserRole = async () => {
+  const [email, role, password] = process.argv.slice(2);
+  if (!email || !User.schema.path("role").enumValues.includes(role)) {
+    console.error(
+      "Usage: node db/set-user-role.js <email> <user|admin|service> [password]"
+    );
+    process.exit(1);
+  }
+
+  await connectDB();
+  try {
+    const normalizedEmail = email.trim().toLowerCase();
+    let user = await User.findOne({ email: normalizedEmail });
+
+    if (!user) {
+      if (!password) {
+        throw new Error("User not found, pass a password to create it");
+      }
+      user = new User({
+        email: normalizedEmail,
+        hashedPassword: await User.hashPassword(password),
+      });
+      console.log(`Creating ${role} account ${normalizedEmail}`);
+    }
+
+    user.role = role;
+    await user.save();
+    console.log(`Role of ${normalizedEmail} set to ${role}`);
+  } catch (err) {
+    console.error("Error setting user role:", err);
+  } finally {
+    await mongoose.connection.close();
+    console.log("Database connection closed.");
+  }
+};
+
+setUserRole();
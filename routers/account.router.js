@@ -0,0 +1,452 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const {
+  Account,
+  Income,
+  Expense,
+  Transfer,
+  Reconciliation,
+  Goal,
+  Loan,
+  IouEntry,
+  Trip,
+  ACCOUNT_TYPES,
+} = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+  getAccountBalance,
+  getAccountStatement,
+} = require("../util/accounts");
+const {
+  TransactionLockedError,
+  assertTransactionUnlocked,
+} = require("../util/reconciliation");
+const accountRouter = express.Router();
+
+// End of the requested day, or now when no date is given
+const parseAsOf = (value, preferences) =>
+  value ? parseDateBoundary(value, preferences, true) : new Date();
+
+// @route   POST /api/accounts
+// @desc    Create a bank account, card, wallet or cash account
+// @access  Protected
+accountRouter.post("/", authenticateToken, async (req, res) => {
+  const { name, type, currency, openingBalance, openingDate, ledgerId } =
+    req.body;
+
+  if (!name || !ACCOUNT_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: `Name and type (${ACCOUNT_TYPES.join(", ")}) are required`,
+    });
+  }
+
+  try {
+    // Shared accounts need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+
+    const account = new Account({
+      userId: req.user.userId,
+      ledgerId: ledgerId || null,
+      name,
+      type,
+      currency: String(currency || req.user.preferences.currency).toUpperCase(),
+      openingBalance,
+      openingDate: openingDate
+        ? parseDateBoundary(openingDate, req.user.preferences)
+        : null,
+    });
+
+    await account.save();
+    res.status(201).json({ success: true, account });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/accounts
+// @desc    Get all accounts of the user (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+accountRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const accounts = await Account.find(match).sort({ archived: 1, name: 1 });
+    res.status(200).json({ success: true, accounts });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/accounts/balances
+// @desc    Balance of every account at the end of ?asOf=YYYY-MM-DD (default now)
+// @access  Protected
+accountRouter.get("/balances", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const asOf = parseAsOf(req.query.asOf, req.user.preferences);
+    const accounts = await Account.find(match).sort({ name: 1 });
+
+    const balances = [];
+    for (const account of accounts) {
+      const balance = await getAccountBalance(account, asOf);
+      if (balance) balances.push(balance);
+    }
+
+    res.json({ asOf, balances });
+  } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error("Error computing balances:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   POST /api/accounts/transfers
+// @desc    Move money between two accounts. Passing expenseId turns an existing
+//          expense (e.g. an imported "transfer to self") into the transfer.
+// @access  Protected
+accountRouter.post("/transfers", authenticateToken, async (req, res) => {
+  const { fromAccountId, toAccountId, expenseId } = req.body;
+  let { amount, date, description } = req.body;
+
+  if (!fromAccountId || !toAccountId || fromAccountId === toAccountId) {
+    return res.status(400).json({
+      success: false,
+      message: "fromAccountId and toAccountId must be two different accounts",
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const fromAccount = await assertAccountAccess(
+      fromAccountId,
+      req.user.userId
+    );
+    await assertAccountAccess(toAccountId, req.user.userId);
+
+    if (expenseId) {
+      const filter = {
+        _id: expenseId,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      };
+      await assertTransactionUnlocked(Expense, filter);
+      const expense = await Expense.findOneAndDelete(filter, { session });
+      if (!expense) {
+        await session.abortTransaction();
+        session.endSession();
+        return res
+          .status(404)
+          .json({ success: false, message: "Expense not found" });
+      }
+      if (expense.loanId) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: "Expense is a loan payment, remove it from the loan first",
+        });
+      }
+      await Trip.updateMany(
+        { expenses: expense._id },
+        { $pull: { expenses: expense._id } },
+        { session }
+      );
+      amount = amount ?? expense.amount;
+      date = date ?? expense.date;
+      description = description ?? expense.description;
+    }
+
+    if (!(amount > 0)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(400)
+        .json({ success: false, message: "amount must be positive" });
+    }
+    const transferDate = date
+      ? parseDateBoundary(date, req.user.preferences)
+      : new Date();
+    if (Number.isNaN(transferDate.getTime())) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid transfer date" });
+    }
+
+    const [transfer] = await Transfer.create(
+      [
+        {
+          userId: req.user.userId,
+          ledgerId: fromAccount.ledgerId,
+          fromAccountId,
+          toAccountId,
+          amount,
+          date: transferDate,
+          description,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ success: true, transfer });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/accounts/transfers
+// @desc    Get transfers, optionally of one account (?accountId=) or ledger (?ledgerId=)
+// @access  Protected
+accountRouter.get("/transfers", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    if (req.query.accountId) {
+      match.$or = [
+        { fromAccountId: req.query.accountId },
+        { toAccountId: req.query.accountId },
+      ];
+    }
+
+    const transfers = await Transfer.find(match)
+      .populate("fromAccountId toAccountId", "name type")
+      .sort({ date: -1 });
+    res.status(200).json({ success: true, transfers });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/accounts/transfers/:id
+// @desc    Delete a transfer by ID
+// @access  Protected
+accountRouter.delete("/transfers/:id", authenticateToken, async (req, res) => {
+  try {
+    const filter = {
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(Transfer, filter);
+
+    const transfer = await Transfer.findOneAndDelete(filter);
+
+    if (!transfer) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Transfer not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Transfer deleted successfully" });
+  } catch (err) {
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/accounts/:id
+// @desc    Get an account with its current balance
+// @access  Protected
+accountRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const account = await assertAccountAccess(
+      req.params.id,
+      req.user.userId,
+      "viewer"
+    );
+    const balance = await getAccountBalance(account, new Date());
+    res
+      .status(200)
+      .json({ success: true, account, balance: balance?.balance ?? null });
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/accounts/:id/statement
+// @desc    Entries of an account between startDate and endDate with running balance
+// @access  Protected
+accountRouter.get("/:id/statement", authenticateToken, async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  if (!startDate || !endDate) {
+    return res
+      .status(400)
+      .json({ error: "startDate and endDate are required" });
+  }
+
+  try {
+    const account = await assertAccountAccess(
+      req.params.id,
+      req.user.userId,
+      "viewer"
+    );
+    const statement = await getAccountStatement(
+      account,
+      parseDateBoundary(startDate, req.user.preferences),
+      parseDateBoundary(endDate, req.user.preferences, true)
+    );
+
+    res.json({ account, ...statement });
+  } catch (error) {
+    if (error instanceof AccountNotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error("Error building account statement:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   PUT /api/accounts/:id
+// @desc    Update an account by ID
+// @access  Protected
+accountRouter.put("/:id", authenticateToken, async (req, res) => {
+  const { name, type, currency, openingBalance, openingDate, archived } =
+    req.body;
+
+  try {
+    const account = await Account.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      {
+        name,
+        type,
+        currency: currency ? String(currency).toUpperCase() : undefined,
+        openingBalance,
+        openingDate: openingDate
+          ? parseDateBoundary(openingDate, req.user.preferences)
+          : openingDate, // null clears it
+        archived,
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Account not found" });
+    }
+
+    res.status(200).json({ success: true, account });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/accounts/:id
+// @desc    Delete an account and its open reconciliations, its incomes and
+//          expenses are kept without an account. Accounts with transfers or
+//          reconciled periods can only be archived (PUT { archived: true }),
+//          deleting them would change other balances or locked periods.
+// @access  Protected
+accountRouter.delete("/:id", authenticateToken, async (req, res) => {
+  let account;
+  try {
+    account = await assertAccountAccess(req.params.id, req.user.userId);
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    return res.status(500).json({ success: false, error: err.message });
+  }
+
+  try {
+    const [hasTransfers, hasReconciledPeriods] = await Promise.all([
+      Transfer.exists({
+        $or: [{ fromAccountId: account._id }, { toAccountId: account._id }],
+      }),
+      Reconciliation.exists({ accountId: account._id, status: "reconciled" }),
+    ]);
+    if (hasTransfers || hasReconciledPeriods) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Account has transfers or reconciled statement periods, archive it instead",
+      });
+    }
+  } catch (err) {
+    return res.status(500).json({ success: false, error: err.message });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const model of [Income, Expense, IouEntry]) {
+      await model.updateMany(
+        { accountId: account._id },
+        {
+          accountId: null,
+          reconciliationId: null,
+          statementLineId: null,
+          clearedAt: null,
+        },
+        { session }
+      );
+    }
+    await Reconciliation.deleteMany({ accountId: account._id }, { session });
+    for (const model of [Goal, Loan]) {
+      await model.updateMany(
+        { accountId: account._id },
+        { accountId: null },
+        { session }
+      );
+    }
+    await Account.deleteOne({ _id: account._id }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Account deleted successfully" });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = accountRouter;
@@ -0,0 +1,269 @@
+const express = require("express");
+const authenticateToken = require("../util/jwt");
+const { Bill, Category, RECURRING_FREQUENCIES } = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const { getBillCalendar } = require("../util/bills");
+const billRouter = express.Router();
+
+const isInvalidDate = (date) => Boolean(date) && Number.isNaN(date.getTime());
+
+// Expense category of a bill, checked for access (null when not found)
+const findBillCategory = async (userId, categoryId) =>
+  Category.findOne({
+    _id: categoryId,
+    type: "expense",
+    ...(await buildAccessFilter(userId, "viewer")),
+  });
+
+// @route   POST /api/bills
+// @desc    Create a bill with its due rule (same format as recurring templates)
+// @access  Protected
+billRouter.post("/", authenticateToken, async (req, res) => {
+  const {
+    payee,
+    expectedAmount,
+    rule,
+    startDate,
+    endDate,
+    categoryId,
+    reminderDaysBefore,
+    ledgerId,
+  } = req.body;
+
+  if (!payee || expectedAmount === undefined || !rule || !startDate) {
+    return res.status(400).json({
+      success: false,
+      message: "payee, expectedAmount, rule and startDate are required",
+    });
+  }
+  if (!RECURRING_FREQUENCIES.includes(rule.frequency)) {
+    return res.status(400).json({
+      success: false,
+      message: `rule.frequency must be one of ${RECURRING_FREQUENCIES.join(
+        ", "
+      )}`,
+    });
+  }
+
+  const start = parseDateBoundary(startDate, req.user.preferences);
+  const end = endDate
+    ? parseDateBoundary(endDate, req.user.preferences, true)
+    : null;
+  if (isInvalidDate(start) || isInvalidDate(end)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid startDate or endDate" });
+  }
+
+  try {
+    // Shared bills need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    if (categoryId && !(await findBillCategory(req.user.userId, categoryId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    const bill = new Bill({
+      userId: req.user.userId,
+      ledgerId: ledgerId || null,
+      payee,
+      expectedAmount,
+      categoryId: categoryId || null,
+      rule,
+      startDate: start,
+      endDate: end,
+      reminderDaysBefore,
+    });
+
+    await bill.save();
+    res.status(201).json({ success: true, bill });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/bills
+// @desc    Get all bills of the user (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+billRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const bills = await Bill.find(match)
+      .populate("categoryId", "name type")
+      .sort({ payee: 1 });
+    res.status(200).json({ success: true, bills });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/bills/calendar
+// @desc    Bills due between startDate and endDate with their paid / unpaid status
+// @access  Protected
+billRouter.get("/calendar", authenticateToken, async (req, res) => {
+  const { startDate, endDate, ledgerId } = req.query;
+
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      success: false,
+      message: "startDate and endDate are required",
+    });
+  }
+
+  const start = parseDateBoundary(startDate, req.user.preferences);
+  const end = parseDateBoundary(endDate, req.user.preferences, true);
+  if (isInvalidDate(start) || isInvalidDate(end)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid startDate or endDate" });
+  }
+
+  try {
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
+    const bills = await Bill.find({ ...match, active: true });
+    const calendar = await getBillCalendar(
+      bills,
+      start,
+      end,
+      req.user.preferences
+    );
+
+    res.status(200).json({ success: true, calendar });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/bills/:id
+// @desc    Get a single bill by ID
+// @access  Protected
+billRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const bill = await Bill.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }).populate("categoryId", "name type"); // Ensure user ownership or ledger membership
+
+    if (!bill) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bill not found" });
+    }
+
+    res.status(200).json({ success: true, bill });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/bills/:id
+// @desc    Update a bill by ID
+// @access  Protected
+billRouter.put("/:id", authenticateToken, async (req, res) => {
+  const allowedFields = [
+    "payee",
+    "expectedAmount",
+    "rule",
+    "startDate",
+    "endDate",
+    "categoryId",
+    "reminderDaysBefore",
+    "active",
+  ];
+  const updates = {};
+  allowedFields.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  try {
+    if (
+      updates.categoryId &&
+      !(await findBillCategory(req.user.userId, updates.categoryId))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+    if (updates.startDate) {
+      updates.startDate = parseDateBoundary(
+        updates.startDate,
+        req.user.preferences
+      );
+    }
+    if (updates.endDate) {
+      updates.endDate = parseDateBoundary(
+        updates.endDate,
+        req.user.preferences,
+        true
+      );
+    }
+    if (isInvalidDate(updates.startDate) || isInvalidDate(updates.endDate)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid startDate or endDate" });
+    }
+
+    const bill = await Bill.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!bill) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bill not found" });
+    }
+
+    res.status(200).json({ success: true, bill });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/bills/:id
+// @desc    Delete a bill by ID
+// @access  Protected
+billRouter.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const bill = await Bill.findOneAndDelete({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!bill) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Bill not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Bill deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = billRouter;
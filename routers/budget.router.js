@@ -0,0 +1,179 @@
+const express = require("express");
+const authenticateToken = require("../util/jwt");
+const { Budget, Category, BUDGET_PERIODS } = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const { getBudgetVsActual } = require("../util/budget");
+const {
+  LedgerAccessError,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const budgetRouter = express.Router();
+
+// @route   POST /api/budget
+// @desc    Set the budget of a category from a date on. Earlier budgets are
+//          kept as history, so changing a limit means posting a new one.
+// @access  Protected
+budgetRouter.post("/", authenticateToken, async (req, res) => {
+  const { categoryId, amount, period, effectiveFrom, rollover } = req.body;
+
+  if (!categoryId || amount === undefined || !BUDGET_PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      message: `categoryId, amount and period (${BUDGET_PERIODS.join(
+        ", "
+      )}) are required`,
+    });
+  }
+
+  try {
+    const category = await Category.findOne({
+      _id: categoryId,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    const budget = new Budget({
+      userId: req.user.userId,
+      ledgerId: category.ledgerId,
+      categoryId: category._id,
+      amount,
+      period,
+      effectiveFrom: effectiveFrom
+        ? parseDateBoundary(effectiveFrom, req.user.preferences)
+        : new Date(),
+      rollover: Boolean(rollover),
+    });
+
+    await budget.save();
+    res.status(201).json({ success: true, budget });
+  } catch (err) {
+    // E.g. a negative amount
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/budget
+// @desc    Get the budget history of the user (or of a shared ledger with ?ledgerId=),
+//          optionally for one category with ?categoryId=
+// @access  Protected
+budgetRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    if (req.query.categoryId) match.categoryId = req.query.categoryId;
+
+    const budgets = await Budget.find(match)
+      .populate("categoryId", "name type")
+      .sort({ categoryId: 1, effectiveFrom: 1 });
+    res.status(200).json({ success: true, budgets });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/budget/vs-actual
+// @desc    Budget limit against actual spending per category for any date range
+// @access  Protected
+budgetRouter.get("/vs-actual", authenticateToken, async (req, res) => {
+  const { startDate, endDate, ledgerId } = req.query;
+
+  if (!startDate || !endDate) {
+    return res
+      .status(400)
+      .json({ error: "startDate and endDate are required" });
+  }
+
+  try {
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
+    const budgets = await getBudgetVsActual(
+      match,
+      parseDateBoundary(startDate, req.user.preferences),
+      parseDateBoundary(endDate, req.user.preferences, true),
+      req.user.preferences
+    );
+
+    res.json({ budgets });
+  } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error("Error fetching budget vs actual:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   PUT /api/budget/:id
+// @desc    Correct a budget entry (amount, period, effectiveFrom, rollover)
+// @access  Protected
+budgetRouter.put("/:id", authenticateToken, async (req, res) => {
+  const { amount, period, effectiveFrom, rollover } = req.body;
+
+  try {
+    const budget = await Budget.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      {
+        amount,
+        period,
+        effectiveFrom: effectiveFrom
+          ? parseDateBoundary(effectiveFrom, req.user.preferences)
+          : undefined,
+        rollover,
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!budget) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Budget not found" });
+    }
+
+    res.status(200).json({ success: true, budget });
+  } catch (err) {
+    // E.g. a negative amount
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/budget/:id
+// @desc    Delete a budget entry, the previous one applies again from its date
+// @access  Protected
+budgetRouter.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!budget) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Budget not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Budget deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = budgetRouter;
@@ -1,13 +1,62 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const authenticateToken = require("../util/jwt");
 const { Category } = require("../db/model");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  CategoryTreeError,
+  getAncestorIds,
+  validateCategoryParent,
+} = require("../util/categoryTree");
+const {
+  countCategoryUsage,
+  deleteCategoryOwnedDocuments,
+  mergeCategories,
+} = require("../util/categoryMerge");
 const categoryRouter = express.Router();
 
+// Load the category that others are merged into and check it is compatible
+// with every source: same type and ledger, and not one of their subcategories
+const loadMergeTarget = async (targetId, sources, userId) => {
+  const target = await Category.findOne({
+    _id: targetId,
+    ...(await buildAccessFilter(userId, "editor")),
+  });
+  if (!target) {
+    throw new CategoryTreeError("Target category not found");
+  }
+
+  const lineage = [String(target._id), ...(await getAncestorIds(target))];
+  for (const source of sources) {
+    if (source.type !== target.type) {
+      throw new CategoryTreeError(
+        "Categories of different types (income or expense) cannot be merged"
+      );
+    }
+    if (String(source.ledgerId || "") !== String(target.ledgerId || "")) {
+      throw new CategoryTreeError(
+        "Categories from different ledgers cannot be merged"
+      );
+    }
+    if (lineage.includes(String(source._id))) {
+      throw new CategoryTreeError(
+        "A category cannot be merged into itself or one of its subcategories"
+      );
+    }
+  }
+  return target;
+};
+
 // @route   POST /api/categories
 // @desc    Create a new category for a user
 // @access  Protected
 categoryRouter.post("/", authenticateToken, async (req, res) => {
-  const { name, type, threshold = 0 } = req.body;
+  const { name, type, threshold = 0, ledgerId, parentId } = req.body;
 
   // Ensure the required fields are provided
   if (!name || !type) {
@@ -17,8 +66,21 @@ categoryRouter.post("/", authenticateToken, async (req, res) => {
   }
 
   try {
+    // Shared categories need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    await validateCategoryParent({
+      parentId,
+      type,
+      ledgerId,
+      userId: req.user.userId,
+    });
+
     const category = new Category({
       userId: req.user.userId, // Assign the category to the authenticated user
+      ledgerId: ledgerId || null,
+      parentId: parentId || null,
       name,
       type,
       threshold,
@@ -27,18 +89,28 @@ categoryRouter.post("/", authenticateToken, async (req, res) => {
     await category.save();
     res.status(201).json({ success: true, category });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    if (err instanceof CategoryTreeError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // @route   GET /api/categories
-// @desc    Get all categories for the authenticated user
+// @desc    Get all categories for the authenticated user (or of a shared ledger with ?ledgerId=)
 // @access  Protected
 categoryRouter.get("/", authenticateToken, async (req, res) => {
   try {
-    const categories = await Category.find({ userId: req.user.userId }); // Fetch categories belonging to the user
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const categories = await Category.find(match); // Fetch categories belonging to the user or ledger
     res.status(200).json({ success: true, categories });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -50,8 +122,8 @@ categoryRouter.get("/:id", authenticateToken, async (req, res) => {
   try {
     const category = await Category.findOne({
       _id: req.params.id,
-      userId: req.user.userId,
-    }); // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }); // Ensure user ownership or ledger membership
 
     if (!category) {
       return res
@@ -69,36 +141,109 @@ categoryRouter.get("/:id", authenticateToken, async (req, res) => {
 // @desc    Update a category by ID for the authenticated user
 // @access  Protected
 categoryRouter.put("/:id", authenticateToken, async (req, res) => {
-  const { name, type, threshold = 0 } = req.body;
+  const { name, type, threshold = 0, parentId } = req.body;
 
   try {
+    const accessFilter = await buildAccessFilter(req.user.userId, "editor");
+    const existing = await Category.findOne({
+      _id: req.params.id,
+      ...accessFilter,
+    }); // Ensure user ownership or ledger editor access
+
+    if (!existing) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    const update = { name, type, threshold };
+    // parentId is only changed when sent, null moves the category to the top level
+    if (parentId !== undefined) {
+      await validateCategoryParent({
+        categoryId: existing._id,
+        parentId,
+        type: type || existing.type,
+        ledgerId: existing.ledgerId,
+        userId: req.user.userId,
+      });
+      update.parentId = parentId || null;
+    }
+    // Parents and subcategories must share the same type
+    if (type && type !== existing.type) {
+      const keepsParent = parentId === undefined && existing.parentId;
+      if (keepsParent || (await Category.exists({ parentId: existing._id }))) {
+        throw new CategoryTreeError(
+          "Move the category out of its tree before changing its type"
+        );
+      }
+    }
+
     const category = await Category.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId }, // Ensure user ownership
-      { name, type, threshold },
+      { _id: existing._id, ...accessFilter },
+      update,
       { new: true, runValidators: true }
     );
 
-    if (!category) {
+    res.status(200).json({ success: true, category });
+  } catch (err) {
+    if (err instanceof CategoryTreeError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/categories/merge
+// @desc    Merge several categories into one, moving all their incomes and expenses
+// @access  Protected
+categoryRouter.post("/merge", authenticateToken, async (req, res) => {
+  const { sourceIds, targetId } = req.body;
+
+  if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !targetId) {
+    return res.status(400).json({
+      success: false,
+      message: "sourceIds (non-empty array) and targetId are required",
+    });
+  }
+
+  try {
+    const sources = await Category.find({
+      _id: { $in: sourceIds },
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    });
+    if (sources.length !== new Set(sourceIds.map(String)).size) {
       return res
         .status(404)
-        .json({ success: false, message: "Category not found" });
+        .json({ success: false, message: "Source category not found" });
     }
 
-    res.status(200).json({ success: true, category });
+    const target = await loadMergeTarget(targetId, sources, req.user.userId);
+    const moved = await mergeCategories(
+      sources.map((source) => source._id),
+      target._id
+    );
+
+    res.status(200).json({ success: true, category: target, moved });
   } catch (err) {
+    if (err instanceof CategoryTreeError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete a category by ID for the authenticated user
+// @desc    Delete a category by ID for the authenticated user. A category that
+//          is still in use needs ?reassignTo=<categoryId> to move its entries
 // @access  Protected
 categoryRouter.delete("/:id", authenticateToken, async (req, res) => {
+  const reassignTo = req.query.reassignTo || req.body?.reassignTo;
+
   try {
-    const category = await Category.findOneAndDelete({
+    const category = await Category.findOne({
       _id: req.params.id,
-      userId: req.user.userId,
-    }); // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
 
     if (!category) {
       return res
@@ -106,10 +251,59 @@ categoryRouter.delete("/:id", authenticateToken, async (req, res) => {
         .json({ success: false, message: "Category not found" });
     }
 
+    if (reassignTo) {
+      const target = await loadMergeTarget(
+        reassignTo,
+        [category],
+        req.user.userId
+      );
+      const moved = await mergeCategories([category._id], target._id);
+      return res.status(200).json({
+        success: true,
+        message: "Category deleted successfully",
+        moved,
+      });
+    }
+
+    // Entries pointing at a deleted category would vanish from every stats route
+    const usage = await countCategoryUsage([category._id]);
+    if (Object.keys(usage).length) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Category is still in use, pass reassignTo to move its entries to another category",
+        usage,
+      });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await Category.deleteOne({ _id: category._id }, { session });
+      await deleteCategoryOwnedDocuments([category._id], session);
+
+      // Subcategories move up to the parent of the deleted category
+      await Category.updateMany(
+        { parentId: category._id },
+        { parentId: category.parentId },
+        { session }
+      );
+
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      throw err;
+    } finally {
+      session.endSession();
+    }
+
     res
       .status(200)
       .json({ success: true, message: "Category deleted successfully" });
   } catch (err) {
+    if (err instanceof CategoryTreeError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -1,17 +1,52 @@
 const express = require("express");
 const { Expense, Trip, User } = require("../db/model");
 const authenticateToken = require("../util/jwt");
+const { authorizeRoles } = require("../util/jwt");
 const { default: mongoose } = require("mongoose");
 const { sendMail } = require("../util/mailer");
 const { generateHTML } = require("../util/common");
+const {
+  getFrequencyKey,
+  parseDateBoundary,
+  resolvePreferences,
+} = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+  summarizeByMember,
+} = require("../util/ledgerAccess");
+const { buildCategoryTree } = require("../util/categoryTree");
+const { getBudgetLimits } = require("../util/budget");
+const { checkBudgetAlerts } = require("../util/budgetAlerts");
+const { notify } = require("../util/notifications");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+} = require("../util/accounts");
+const {
+  TransactionLockedError,
+  assertTransactionUnlocked,
+} = require("../util/reconciliation");
+const { refreshLoanPayments } = require("../util/loan");
 const expenseRouter = express.Router();
 
 // @route   POST /api/expenses
 // @desc    Create a new expense entry for the authenticated user
 // @access  Protected
 expenseRouter.post("/", authenticateToken, async (req, res) => {
-  const { categoryId, amount, description, date, type, needOrWant, tripId } =
-    req.body;
+  const {
+    categoryId,
+    amount,
+    description,
+    date,
+    type,
+    needOrWant,
+    tripId,
+    ledgerId,
+    accountId,
+  } = req.body;
 
   // Ensure required fields are provided
   if (!categoryId || !amount || !type || !needOrWant) {
@@ -22,14 +57,22 @@ expenseRouter.post("/", authenticateToken, async (req, res) => {
   }
 
   try {
+    // Shared expenses need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
     const expense = new Expense({
       userId: req.user.userId, // Link expense to the authenticated user
+      ledgerId: ledgerId || null,
       categoryId,
       amount,
       description,
       date,
       type,
       needOrWant,
+      accountId: accountId || null,
     });
 
     await expense.save();
@@ -39,21 +82,36 @@ expenseRouter.post("/", authenticateToken, async (req, res) => {
         $push: { expenses: expense._id },
       });
     res.status(201).json({ success: true, expense });
+
+    // Alerts are checked after responding so they never slow down or fail the request
+    checkBudgetAlerts([expense], req.user.preferences).catch((error) =>
+      console.error("Error checking budget alerts:", error)
+    );
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // @route   GET /api/expenses
-// @desc    Get all expense entries for the authenticated user
+// @desc    Get all expense entries for the authenticated user (or of a shared ledger with ?ledgerId=)
 // @access  Protected
 expenseRouter.get("/", authenticateToken, async (req, res) => {
   try {
-    const expenses = await Expense.find({ userId: req.user.userId }) // Fetch expenses for the user
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const expenses = await Expense.find(match) // Fetch expenses for the user or ledger
       .populate("categoryId", "name type") // Populate category details
       .sort({ date: -1 }); // Sort by most recent
     res.status(200).json({ success: true, expenses });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -65,8 +123,8 @@ expenseRouter.get("/:id", authenticateToken, async (req, res) => {
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
-      userId: req.user.userId,
-    }) // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }) // Ensure user ownership or ledger membership
       .populate("categoryId", "name type");
 
     if (!expense) {
@@ -85,12 +143,21 @@ expenseRouter.get("/:id", authenticateToken, async (req, res) => {
 // @desc    Update an expense entry by ID for the authenticated user
 // @access  Protected
 expenseRouter.put("/:id", authenticateToken, async (req, res) => {
-  const { categoryId, amount, description, date, type, needOrWant } = req.body;
+  const { categoryId, amount, description, date, type, needOrWant, accountId } =
+    req.body;
 
   try {
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
+    const filter = {
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(Expense, filter);
+
     const expense = await Expense.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId }, // Ensure user ownership
-      { categoryId, amount, description, date, type, needOrWant },
+      filter,
+      { categoryId, amount, description, date, type, needOrWant, accountId },
       { new: true, runValidators: true }
     ).populate("categoryId", "name type");
 
@@ -100,8 +167,17 @@ expenseRouter.put("/:id", authenticateToken, async (req, res) => {
         .json({ success: false, message: "Expense not found" });
     }
 
+    // Later EMIs of a loan depend on the balance left by this one
+    if (expense.loanId) await refreshLoanPayments(expense.loanId);
+
     res.status(200).json({ success: true, expense });
   } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -111,10 +187,13 @@ expenseRouter.put("/:id", authenticateToken, async (req, res) => {
 // @access  Protected
 expenseRouter.delete("/:id", authenticateToken, async (req, res) => {
   try {
-    const expense = await Expense.findOneAndDelete({
+    const filter = {
       _id: req.params.id,
-      userId: req.user.userId,
-    }); // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(Expense, filter);
+
+    const expense = await Expense.findOneAndDelete(filter);
 
     if (!expense) {
       return res
@@ -122,21 +201,26 @@ expenseRouter.delete("/:id", authenticateToken, async (req, res) => {
         .json({ success: false, message: "Expense not found" });
     }
 
+    if (expense.loanId) await refreshLoanPayments(expense.loanId);
+
     res
       .status(200)
       .json({ success: true, message: "Expense deleted successfully" });
   } catch (err) {
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 expenseRouter.get("/stats/all", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
 
     // Fetch expenses and join with categories
     const expenses = await Expense.aggregate([
-      { $match: { userId: new mongoose.Types.ObjectId(userId) } }, // Match user-specific data
+      { $match: match }, // Match user- or ledger-specific data
       {
         $lookup: {
           from: "categories", // The name of the Category collection
@@ -172,7 +256,11 @@ expenseRouter.get("/stats/all", authenticateToken, async (req, res) => {
         expense.amount;
 
       // Total amount by month
-      const month = new Date(expense.date).toISOString().slice(0, 7); // Format YYYY-MM
+      const month = getFrequencyKey(
+        expense.date,
+        "monthly",
+        req.user.preferences
+      ); // Format YYYY-MM
       stats.totalAmountByMonth[month] =
         (stats.totalAmountByMonth[month] || 0) + expense.amount;
 
@@ -182,51 +270,57 @@ expenseRouter.get("/stats/all", authenticateToken, async (req, res) => {
         (stats.totalAmountByCategory[categoryName] || 0) + expense.amount;
     });
 
+    // Subcategories rolled up into their parents with ?categoryTree=true
+    if (req.query.categoryTree === "true") {
+      stats.totalAmountByCategory = await buildCategoryTree(expenses);
+    }
+
+    // Who spent what in a shared ledger
+    if (match.ledgerId) {
+      stats.totalAmountByMember = await summarizeByMember(expenses);
+    }
+
     res.json({
       stats,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: "Failed to fetch expense stats" });
   }
 });
 
-const calculateFrequencyKey = (date, frequency) => {
-  const parsedDate = new Date(date);
-  switch (frequency) {
-    case "daily":
-      return parsedDate.toISOString().split("T")[0]; // Format: YYYY-MM-DD
-    case "weekly":
-      const firstDayOfWeek = new Date(parsedDate);
-      firstDayOfWeek.setDate(parsedDate.getDate() - parsedDate.getDay());
-      return firstDayOfWeek.toISOString().split("T")[0]; // Start of the week
-    case "monthly":
-      return parsedDate.toISOString().slice(0, 7); // Format: YYYY-MM
-    case "quarterly":
-      const quarter = Math.floor((parsedDate.getMonth() + 3) / 3);
-      return `${parsedDate.getFullYear()}-Q${quarter}`; // Format: YYYY-QX
-    case "yearly":
-      return parsedDate.getFullYear().toString(); // Format: YYYY
-    default:
-      return parsedDate.toISOString().slice(0, 7); // Default to monthly
-  }
-};
-
+// `scopeMatch` is either { userId } or { ledgerId } (see resolveScopeMatch).
+// With `categoryTree` the category totals are nested and rolled up to parents.
 const filterExpensesForPeriod = async (
-  userId,
+  scopeMatch,
   startDate,
   endDate,
-  frequency
+  frequency,
+  preferences,
+  categoryTree = false
 ) => {
-  // Convert start and end dates to ISO format
+  // Plain dates are read in the user's timezone, the end date is inclusive
+  const start = parseDateBoundary(startDate, preferences);
+  const end = parseDateBoundary(endDate, preferences, true);
   const filter = {
-    userId: new mongoose.Types.ObjectId(userId),
-    date: { $gte: new Date(startDate), $lte: new Date(endDate) },
+    ...scopeMatch,
+    date: { $gte: start, $lte: end },
   };
 
+  // Budgeted categories use their budget for this range as the threshold
+  const budgetLimits = await getBudgetLimits(
+    scopeMatch,
+    start,
+    end,
+    preferences
+  );
+
   // Fetch expenses with category details
   const expenses = await Expense.aggregate([
-    { $match: filter }, // Filter based on userId and date range
+    { $match: filter }, // Filter based on user/ledger and date range
     {
       $lookup: {
         from: "categories", // Category collection
@@ -261,12 +355,15 @@ const filterExpensesForPeriod = async (
       (stats.totalAmountByNeedOrWant[expense.needOrWant] || 0) + expense.amount;
 
     // Total amount by frequency
-    const frequencyKey = calculateFrequencyKey(expense.date, frequency);
+    const frequencyKey = getFrequencyKey(expense.date, frequency, preferences);
     stats.totalAmountByFrequency[frequencyKey] =
       (stats.totalAmountByFrequency[frequencyKey] || 0) + expense.amount;
 
     // Total amount by category
     const categoryName = expense.category.name; // Replace "name" with your actual category field
+    const threshold =
+      budgetLimits.get(String(expense.category._id)) ??
+      expense.category.threshold;
     if (!stats.totalAmountByCategory[categoryName]) {
       stats.totalAmountByCategory[categoryName] = {
         amount: 0,
@@ -275,28 +372,41 @@ const filterExpensesForPeriod = async (
     }
     if (
       stats.totalAmountByCategory[categoryName]["threshold"] == 0 &&
-      expense.category.threshold > 0
+      threshold > 0
     ) {
-      stats.totalAmountByCategory[categoryName]["threshold"] =
-        expense.category.threshold;
+      stats.totalAmountByCategory[categoryName]["threshold"] = threshold;
     }
     stats.totalAmountByCategory[categoryName]["amount"] =
       (stats.totalAmountByCategory[categoryName]["amount"] || 0) +
       expense.amount;
   });
+
+  if (categoryTree) {
+    stats.totalAmountByCategory = await buildCategoryTree(
+      expenses,
+      budgetLimits
+    );
+  }
+
+  // Who spent what in a shared ledger
+  if (scopeMatch.ledgerId) {
+    stats.totalAmountByMember = await summarizeByMember(expenses);
+  }
   return stats;
 };
 
 expenseRouter.get("/stats/filter", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { startDate, endDate, frequency } = req.query;
+    const { startDate, endDate, frequency, ledgerId, categoryTree } = req.query;
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
 
     let stats = await filterExpensesForPeriod(
-      userId,
+      match,
       startDate,
       endDate,
-      frequency
+      frequency,
+      req.user.preferences,
+      categoryTree === "true"
     );
 
     // Return stats in the response
@@ -304,6 +414,9 @@ expenseRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       stats,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error("Error fetching filtered expenses:", error);
     res.status(500).json({ error: "Internal Server Error" });
   }
@@ -312,20 +425,19 @@ expenseRouter.get("/stats/filter", authenticateToken, async (req, res) => {
 // GET /get/all
 expenseRouter.get("/get/all", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-
     // Extract filter parameters from the request
-    const { startDate, endDate, frequency } = req.query;
+    const { startDate, endDate, frequency, ledgerId } = req.query;
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
 
     // Validate and parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseDateBoundary(startDate, req.user.preferences);
+    const end = parseDateBoundary(endDate, req.user.preferences, true);
 
     // Calculate filtered incomes
     const expenses = await Expense.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(userId),
+          ...match,
           date: { $gte: start, $lte: end }, // Filter by date range
         },
       },
@@ -363,6 +475,9 @@ expenseRouter.get("/get/all", authenticateToken, async (req, res) => {
       expenses: expensesResponse,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error("Error:", error);
     res
       .status(500)
@@ -370,88 +485,130 @@ expenseRouter.get("/get/all", authenticateToken, async (req, res) => {
   }
 });
 
-expenseRouter.get("/stats/report", async (req, res) => {
-  try {
-    const { startDate, endDate, frequency } = req.query;
-    console.log(
-      `===================================================\nstart-date: ${startDate}\tend-date: ${endDate}\tfrequency: ${frequency}`
-    );
-    let allUsers = await User.find({}, "email");
-    allUsers.map(async (user) => {
+// @route   GET /api/expense/stats/report
+// @desc    Email the expense summary to every user (scheduled job)
+// @access  Admin / Service
+expenseRouter.get(
+  "/stats/report",
+  authenticateToken,
+  authorizeRoles("admin", "service"),
+  async (req, res) => {
+    try {
+      const { startDate, endDate, frequency } = req.query;
+      console.log(
+        `===================================================\nstart-date: ${startDate}\tend-date: ${endDate}\tfrequency: ${frequency}`
+      );
+      let allUsers = await User.find(
+        { role: { $ne: "service" } },
+        "email preferences"
+      );
+      allUsers.map(async (user) => {
+        const preferences = resolvePreferences(user.preferences);
+        let stats = await filterExpensesForPeriod(
+          { userId: user._id },
+          startDate,
+          endDate,
+          frequency,
+          preferences,
+          true // Parent thresholds are checked against their subcategories
+        );
+        console.log(
+          `=====\tUser: ${JSON.stringify(
+            user.email
+          )} \tExpense: ${JSON.stringify(stats.totalAmount)}\t=====`
+        );
+        if (stats.totalAmount != 0) {
+          const mailOptions = {
+            from: process.env.SENDER_EMAIL,
+            to: user.email, // Replace with recipient's email
+            subject: `Expense Summary for ${startDate} to ${endDate}`,
+            html: generateHTML(stats, preferences),
+          };
+
+          await sendMail(mailOptions);
+        }
+      });
+      res.status(200).send({ success: true });
+    } catch (error) {
+      console.error("Error:", error);
+      res.status(500).json({
+        error: "An error occurred while processing the data.",
+        success: false,
+      });
+    }
+  }
+);
+
+// @route   GET /api/expense/stats/report/personal
+// @desc    Email the expense summary to a single user
+// @access  Protected (admin / service accounts may target any user)
+expenseRouter.get(
+  "/stats/report/personal",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      let sent = false;
+      const { startDate, endDate, frequency } = req.query;
+      let { email, userId } = req.query;
+      let preferences = req.user.preferences;
+
+      // Regular users can only request their own report
+      if (!["admin", "service"].includes(req.user.role)) {
+        userId = req.user.userId;
+        email = req.user.email;
+      } else if (!userId || !email) {
+        return res.status(400).json({
+          error: "userId and email are required",
+          success: false,
+        });
+      } else {
+        const targetUser = await User.findById(userId, "preferences");
+        preferences = resolvePreferences(targetUser?.preferences);
+      }
+
+      console.log(
+        `===================================================\nstart-date: ${startDate}\tend-date: ${endDate}\tfrequency: ${frequency}\temail: ${email}\tuserId: ${userId}`
+      );
       let stats = await filterExpensesForPeriod(
-        user._id,
+        { userId: new mongoose.Types.ObjectId(userId) },
         startDate,
         endDate,
-        frequency
+        frequency,
+        preferences,
+        true // Parent thresholds are checked against their subcategories
       );
       console.log(
-        `=====\tUser: ${JSON.stringify(user.email)} \tExpense: ${JSON.stringify(
+        `=====\tUser: ${JSON.stringify(email)} \tExpense: ${JSON.stringify(
           stats.totalAmount
         )}\t=====`
       );
       if (stats.totalAmount != 0) {
+        sent = true;
         const mailOptions = {
           from: process.env.SENDER_EMAIL,
-          to: user.email, // Replace with recipient's email
+          to: email, // Replace with recipient's email
           subject: `Expense Summary for ${startDate} to ${endDate}`,
-          html: generateHTML(stats),
+          html: generateHTML(stats, preferences),
         };
 
         await sendMail(mailOptions);
       }
-    });
-    res.status(200).send({ success: true });
-  } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({
-      error: "An error occurred while processing the data.",
-      success: false,
-    });
-  }
-});
-
-expenseRouter.get("/stats/report/personal", async (req, res) => {
-  try {
-    let sent = false;
-    const { startDate, endDate, frequency, email, userId } = req.query;
-    console.log(
-      `===================================================\nstart-date: ${startDate}\tend-date: ${endDate}\tfrequency: ${frequency}\temail: ${email}\tuserId: ${userId}`
-    );
-    let stats = await filterExpensesForPeriod(
-      userId,
-      startDate,
-      endDate,
-      frequency
-    );
-    console.log(
-      `=====\tUser: ${JSON.stringify(email)} \tExpense: ${JSON.stringify(
-        stats.totalAmount
-      )}\t=====`
-    );
-    if (stats.totalAmount != 0) {
-      sent = true;
-      const mailOptions = {
-        from: process.env.SENDER_EMAIL,
-        to: email, // Replace with recipient's email
-        subject: `Expense Summary for ${startDate} to ${endDate}`,
-        html: generateHTML(stats),
-      };
-
-      await sendMail(mailOptions);
+      res.status(200).send({ success: sent, email });
+    } catch (error) {
+      console.error("Error:", error);
+      res.status(500).json({
+        error: "An error occurred while processing the data.",
+        success: false,
+      });
     }
-    res.status(200).send({ success: sent, email });
-  } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({
-      error: "An error occurred while processing the data.",
-      success: false,
-    });
   }
-});
+);
 
 // Bulk insert for import module
 expenseRouter.post("/bulk", authenticateToken, async (req, res) => {
   const expensesData = req.body.expenses; // Expecting an array of expense objects
+  const { ledgerId } = req.body; // Optional shared ledger for the whole batch
+  const { accountId } = req.body; // Optional account, each expense may override it
 
   if (!Array.isArray(expensesData) || expensesData.length === 0) {
     return res.status(400).json({
@@ -471,6 +628,28 @@ expenseRouter.post("/bulk", authenticateToken, async (req, res) => {
     }
   }
 
+  try {
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    const accountIds = new Set(
+      [accountId, ...expensesData.map((exp) => exp.accountId)]
+        .filter(Boolean)
+        .map(String)
+    );
+    for (const id of accountIds) {
+      await assertAccountAccess(id, req.user.userId);
+    }
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    return res.status(500).json({ success: false, error: err.message });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -478,12 +657,14 @@ expenseRouter.post("/bulk", authenticateToken, async (req, res) => {
     // Attach userId to each expense
     const expensesToInsert = expensesData.map((exp) => ({
       userId: req.user.userId,
+      ledgerId: ledgerId || null,
       categoryId: exp.categoryId,
       amount: Math.ceil(parseFloat(exp.amount.replace(/,/g, "")) * -1),
       description: exp.description,
       date: exp.date,
       type: exp.type,
       needOrWant: exp.needOrWant,
+      accountId: exp.accountId || accountId || null,
     }));
 
     const insertedExpenses = await Expense.insertMany(expensesToInsert, {
@@ -520,6 +701,16 @@ expenseRouter.post("/bulk", authenticateToken, async (req, res) => {
     session.endSession();
 
     res.status(201).json({ success: true, expenses: insertedExpenses });
+
+    notify(req.user.userId, {
+      type: "import-completed",
+      title: "Expenses imported",
+      message: `${insertedExpenses.length} expenses were imported.`,
+      payload: { count: insertedExpenses.length, ledgerId: ledgerId || null },
+    }).catch((error) => console.error("Error sending notification:", error));
+    checkBudgetAlerts(insertedExpenses, req.user.preferences).catch((error) =>
+      console.error("Error checking budget alerts:", error)
+    );
   } catch (err) {
     await session.abortTransaction();
     session.endSession();
@@ -0,0 +1,308 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const { Goal, Trip } = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+} = require("../util/accounts");
+const { getGoalProgress } = require("../util/goals");
+const goalRouter = express.Router();
+
+// Goal with its progress, for responses
+const withProgress = async (goal) => ({
+  ...goal.toObject(),
+  progress: await getGoalProgress(goal),
+});
+
+const parseOptionalDate = (value, preferences) =>
+  value ? parseDateBoundary(value, preferences) : value;
+
+// A goal can only track an account of its own ledger (or a personal account
+// for a personal goal), otherwise ledger members would see its balance
+const assertGoalAccount = async (accountId, ledgerId, userId) => {
+  const account = await assertAccountAccess(accountId, userId);
+  if (String(account.ledgerId || null) !== String(ledgerId || null)) {
+    throw new AccountNotFoundError("Account not found in the goal's ledger");
+  }
+};
+
+// @route   POST /api/goals
+// @desc    Create a savings goal. With tripId the goal funds the trip's planned
+//          budget: name, target amount and date default to the trip's.
+// @access  Protected
+goalRouter.post("/", authenticateToken, async (req, res) => {
+  const { accountId, tripId } = req.body;
+  let { name, targetAmount, targetDate, ledgerId } = req.body;
+
+  try {
+    let trip = null;
+    if (tripId) {
+      trip = await Trip.findOne({
+        _id: tripId,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }); // Ensure user ownership or ledger editor access
+      if (!trip) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Trip not found" });
+      }
+      name = name || trip.name;
+      targetAmount = targetAmount ?? trip.plannedBudget;
+      targetDate = targetDate || trip.startDate;
+      ledgerId = trip.ledgerId;
+    }
+
+    if (!name || typeof targetAmount !== "number" || targetAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Name and a targetAmount of at least 0 are required",
+      });
+    }
+
+    // Shared goals need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    if (accountId) {
+      await assertGoalAccount(accountId, ledgerId, req.user.userId);
+    }
+
+    const goal = new Goal({
+      userId: req.user.userId,
+      ledgerId: ledgerId || null,
+      name,
+      targetAmount,
+      targetDate: parseOptionalDate(targetDate, req.user.preferences) || null,
+      accountId: accountId || null,
+    });
+
+    await goal.save();
+    if (trip) {
+      trip.goalId = goal._id;
+      await trip.save();
+    }
+    res.status(201).json({ success: true, goal: await withProgress(goal) });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/goals
+// @desc    Get all goals with their progress (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+goalRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const goals = await Goal.find(match).sort({ targetDate: 1, name: 1 });
+
+    const goalsWithProgress = [];
+    for (const goal of goals) {
+      goalsWithProgress.push(await withProgress(goal));
+    }
+    res.status(200).json({ success: true, goals: goalsWithProgress });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/goals/:id
+// @desc    Get a goal with its contributions and progress
+// @access  Protected
+goalRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }); // Ensure user ownership or ledger membership
+
+    if (!goal) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Goal not found" });
+    }
+
+    const trips = await Trip.find({ goalId: goal._id }, "name plannedBudget");
+    res
+      .status(200)
+      .json({ success: true, goal: await withProgress(goal), trips });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Update a goal by ID (accountId: null switches to manual contributions)
+// @access  Protected
+goalRouter.put("/:id", authenticateToken, async (req, res) => {
+  const { name, targetAmount, targetDate, startDate, accountId } = req.body;
+
+  try {
+    const filter = {
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    if (accountId) {
+      const existing = await Goal.findOne(filter, "ledgerId");
+      if (existing) {
+        await assertGoalAccount(accountId, existing.ledgerId, req.user.userId);
+      }
+    }
+
+    const goal = await Goal.findOneAndUpdate(
+      filter,
+      {
+        name,
+        targetAmount,
+        targetDate: parseOptionalDate(targetDate, req.user.preferences),
+        startDate: parseOptionalDate(startDate, req.user.preferences),
+        accountId,
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!goal) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Goal not found" });
+    }
+
+    res.status(200).json({ success: true, goal: await withProgress(goal) });
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a goal, trips funded by it keep their planned budget
+// @access  Protected
+goalRouter.delete("/:id", authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const goal = await Goal.findOneAndDelete(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      },
+      { session }
+    ); // Ensure user ownership or ledger editor access
+
+    if (!goal) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(404)
+        .json({ success: false, message: "Goal not found" });
+    }
+
+    await Trip.updateMany({ goalId: goal._id }, { goalId: null }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Goal deleted successfully" });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/goals/:id/contributions
+// @desc    Record a manual contribution ({ amount, date, note }), negative
+//          amounts are withdrawals
+// @access  Protected
+goalRouter.post("/:id/contributions", authenticateToken, async (req, res) => {
+  const { amount, date, note } = req.body;
+
+  if (typeof amount !== "number" || amount === 0) {
+    return res
+      .status(400)
+      .json({ success: false, message: "amount must be a non-zero number" });
+  }
+
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!goal) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Goal not found" });
+    }
+    if (goal.accountId) {
+      return res.status(400).json({
+        success: false,
+        message: "This goal is tracked through its linked account",
+      });
+    }
+
+    goal.contributions.push({
+      amount,
+      date: date ? parseDateBoundary(date, req.user.preferences) : new Date(),
+      note,
+    });
+    await goal.save();
+
+    res.status(201).json({ success: true, goal: await withProgress(goal) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/goals/:id/contributions/:contributionId
+// @desc    Remove a manual contribution of a goal
+// @access  Protected
+goalRouter.delete(
+  "/:id/contributions/:contributionId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const goal = await Goal.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          ...(await buildAccessFilter(req.user.userId, "editor")),
+        }, // Ensure user ownership or ledger editor access
+        { $pull: { contributions: { _id: req.params.contributionId } } },
+        { new: true }
+      );
+
+      if (!goal) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Goal not found" });
+      }
+
+      res.status(200).json({ success: true, goal: await withProgress(goal) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+module.exports = goalRouter;
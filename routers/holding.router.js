@@ -0,0 +1,300 @@
+const express = require("express");
+const authenticateToken = require("../util/jwt");
+const { Holding, HOLDING_KINDS } = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const { getHoldingValue, getNetWorthSeries } = require("../util/netWorth");
+const holdingRouter = express.Router();
+
+// Holding with its latest value, for responses
+const withCurrentValue = (holding) => ({
+  ...holding.toObject(),
+  currentValue: getHoldingValue(holding, new Date()),
+});
+
+// @route   POST /api/holdings
+// @desc    Add an asset or liability (investment, property, loan, card debt...),
+//          optionally with its first valuation ({ value, date })
+// @access  Protected
+holdingRouter.post("/", authenticateToken, async (req, res) => {
+  const { name, kind, type, currency, value, date, ledgerId } = req.body;
+
+  if (!name || !HOLDING_KINDS.includes(kind)) {
+    return res.status(400).json({
+      success: false,
+      message: `Name and kind (${HOLDING_KINDS.join(", ")}) are required`,
+    });
+  }
+
+  try {
+    // Shared holdings need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+
+    const holding = new Holding({
+      userId: req.user.userId,
+      ledgerId: ledgerId || null,
+      name,
+      kind,
+      type,
+      currency: String(currency || req.user.preferences.currency).toUpperCase(),
+      valuations:
+        value !== undefined
+          ? [
+              {
+                value,
+                date: date
+                  ? parseDateBoundary(date, req.user.preferences)
+                  : new Date(),
+              },
+            ]
+          : [],
+    });
+
+    await holding.save();
+    res.status(201).json({ success: true, holding: withCurrentValue(holding) });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/holdings
+// @desc    Get all holdings of the user (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+holdingRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const holdings = await Holding.find(match).sort({
+      archived: 1,
+      kind: 1,
+      name: 1,
+    });
+    res
+      .status(200)
+      .json({ success: true, holdings: holdings.map(withCurrentValue) });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/holdings/net-worth
+// @desc    Assets, liabilities and net worth at the end of every period between
+//          startDate and endDate, including account balances. Only accounts
+//          and holdings in the user's currency are counted, the breakdown
+//          totals the others per currency.
+// @access  Protected
+holdingRouter.get("/net-worth", authenticateToken, async (req, res) => {
+  try {
+    const { startDate, endDate, frequency = "monthly", ledgerId } = req.query;
+
+    if (!startDate || !endDate) {
+      return res
+        .status(400)
+        .json({ error: "startDate and endDate are required" });
+    }
+
+    const validFrequencies = [
+      "daily",
+      "weekly",
+      "monthly",
+      "quarterly",
+      "yearly",
+    ];
+    if (!validFrequencies.includes(frequency)) {
+      return res.status(400).json({ error: "Invalid frequency" });
+    }
+
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
+    const { series, breakdown } = await getNetWorthSeries(
+      match,
+      parseDateBoundary(startDate, req.user.preferences),
+      parseDateBoundary(endDate, req.user.preferences, true),
+      frequency,
+      req.user.preferences
+    );
+
+    res.json({ frequency, series, breakdown });
+  } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error("Error computing net worth:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   GET /api/holdings/:id
+// @desc    Get a holding with its valuation history
+// @access  Protected
+holdingRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const holding = await Holding.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }); // Ensure user ownership or ledger membership
+
+    if (!holding) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Holding not found" });
+    }
+
+    res.status(200).json({ success: true, holding: withCurrentValue(holding) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/holdings/:id
+// @desc    Update a holding by ID (valuations have their own routes)
+// @access  Protected
+holdingRouter.put("/:id", authenticateToken, async (req, res) => {
+  const { name, kind, type, currency, archived } = req.body;
+
+  try {
+    const holding = await Holding.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      {
+        name,
+        kind,
+        type,
+        currency: currency ? String(currency).toUpperCase() : undefined,
+        archived,
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!holding) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Holding not found" });
+    }
+
+    res.status(200).json({ success: true, holding: withCurrentValue(holding) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/holdings/:id
+// @desc    Delete a holding with its valuation history
+// @access  Protected
+holdingRouter.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const holding = await Holding.findOneAndDelete({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!holding) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Holding not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Holding deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/holdings/:id/valuations
+// @desc    Record the value of a holding on a date ({ value, date, note })
+// @access  Protected
+holdingRouter.post("/:id/valuations", authenticateToken, async (req, res) => {
+  const { value, date, note } = req.body;
+
+  if (typeof value !== "number" || value < 0) {
+    return res.status(400).json({
+      success: false,
+      message: "value must be a number of at least 0",
+    });
+  }
+
+  try {
+    const holding = await Holding.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      {
+        $push: {
+          valuations: {
+            $each: [
+              {
+                value,
+                date: date
+                  ? parseDateBoundary(date, req.user.preferences)
+                  : new Date(),
+                note,
+              },
+            ],
+            $sort: { date: 1 },
+          },
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!holding) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Holding not found" });
+    }
+
+    res.status(201).json({ success: true, holding: withCurrentValue(holding) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/holdings/:id/valuations/:valuationId
+// @desc    Remove a valuation entry of a holding
+// @access  Protected
+holdingRouter.delete(
+  "/:id/valuations/:valuationId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const holding = await Holding.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          ...(await buildAccessFilter(req.user.userId, "editor")),
+        }, // Ensure user ownership or ledger editor access
+        { $pull: { valuations: { _id: req.params.valuationId } } },
+        { new: true }
+      );
+
+      if (!holding) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Holding not found" });
+      }
+
+      res
+        .status(200)
+        .json({ success: true, holding: withCurrentValue(holding) });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+module.exports = holdingRouter;
@@ -1,14 +1,31 @@
 const express = require("express");
 const authenticateToken = require("../util/jwt");
 const { Income } = require("../db/model");
-const { default: mongoose } = require("mongoose");
+const { getFrequencyKey, parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+  summarizeByMember,
+} = require("../util/ledgerAccess");
+const { buildCategoryTree } = require("../util/categoryTree");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+} = require("../util/accounts");
+const {
+  TransactionLockedError,
+  assertTransactionUnlocked,
+} = require("../util/reconciliation");
 const incomeRouter = express.Router();
 
 // @route   POST /api/incomes
 // @desc    Create a new income entry for the authenticated user
 // @access  Protected
 incomeRouter.post("/", authenticateToken, async (req, res) => {
-  const { categoryId, amount, source, date, type } = req.body;
+  const { categoryId, amount, source, date, type, ledgerId, accountId } =
+    req.body;
 
   // Ensure required fields are provided
   if (!categoryId || !amount || !source || !type) {
@@ -19,32 +36,50 @@ incomeRouter.post("/", authenticateToken, async (req, res) => {
   }
 
   try {
+    // Shared incomes need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
     const income = new Income({
       userId: req.user.userId, // Link income to the authenticated user
+      ledgerId: ledgerId || null,
       categoryId,
       amount,
       source,
       date,
       type,
+      accountId: accountId || null,
     });
 
     await income.save();
     res.status(201).json({ success: true, income });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // @route   GET /api/incomes
-// @desc    Get all income entries for the authenticated user
+// @desc    Get all income entries for the authenticated user (or of a shared ledger with ?ledgerId=)
 // @access  Protected
 incomeRouter.get("/", authenticateToken, async (req, res) => {
   try {
-    const incomes = await Income.find({ userId: req.user.userId }) // Fetch incomes for the user
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const incomes = await Income.find(match) // Fetch incomes for the user or ledger
       .populate("categoryId", "name type") // Populate category details
       .sort({ date: -1 }); // Sort by most recent
     res.status(200).json({ success: true, incomes });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -56,8 +91,8 @@ incomeRouter.get("/:id", authenticateToken, async (req, res) => {
   try {
     const income = await Income.findOne({
       _id: req.params.id,
-      userId: req.user.userId,
-    }) // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }) // Ensure user ownership or ledger membership
       .populate("categoryId", "name type");
 
     if (!income) {
@@ -76,12 +111,20 @@ incomeRouter.get("/:id", authenticateToken, async (req, res) => {
 // @desc    Update an income entry by ID for the authenticated user
 // @access  Protected
 incomeRouter.put("/:id", authenticateToken, async (req, res) => {
-  const { categoryId, amount, source, date, type } = req.body;
+  const { categoryId, amount, source, date, type, accountId } = req.body;
 
   try {
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
+    const filter = {
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(Income, filter);
+
     const income = await Income.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId }, // Ensure user ownership
-      { categoryId, amount, source, date, type },
+      filter,
+      { categoryId, amount, source, date, type, accountId },
       { new: true, runValidators: true }
     ).populate("categoryId", "name type");
 
@@ -93,6 +136,12 @@ incomeRouter.put("/:id", authenticateToken, async (req, res) => {
 
     res.status(200).json({ success: true, income });
   } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -102,10 +151,13 @@ incomeRouter.put("/:id", authenticateToken, async (req, res) => {
 // @access  Protected
 incomeRouter.delete("/:id", authenticateToken, async (req, res) => {
   try {
-    const income = await Income.findOneAndDelete({
+    const filter = {
       _id: req.params.id,
-      userId: req.user.userId,
-    }); // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(Income, filter);
+
+    const income = await Income.findOneAndDelete(filter);
 
     if (!income) {
       return res
@@ -117,6 +169,9 @@ incomeRouter.delete("/:id", authenticateToken, async (req, res) => {
       .status(200)
       .json({ success: true, message: "Income deleted successfully" });
   } catch (err) {
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -124,11 +179,11 @@ incomeRouter.delete("/:id", authenticateToken, async (req, res) => {
 // GET /income/stats
 incomeRouter.get("/stats/all", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
 
     // Calculate total income
     const incomes = await Income.aggregate([
-      { $match: { userId: new mongoose.Types.ObjectId(userId) } }, // Match user-specific data
+      { $match: match }, // Match user- or ledger-specific data
       {
         $lookup: {
           from: "categories", // The name of the Category collection
@@ -158,7 +213,11 @@ incomeRouter.get("/stats/all", authenticateToken, async (req, res) => {
         (stats.totalAmountByType[income.type] || 0) + income.amount;
 
       // Total amount by month
-      const month = new Date(income.date).toISOString().slice(0, 7); // Format YYYY-MM
+      const month = getFrequencyKey(
+        income.date,
+        "monthly",
+        req.user.preferences
+      ); // Format YYYY-MM
       stats.totalAmountByMonth[month] =
         (stats.totalAmountByMonth[month] || 0) + income.amount;
 
@@ -168,10 +227,23 @@ incomeRouter.get("/stats/all", authenticateToken, async (req, res) => {
         (stats.totalAmountByCategory[categoryName] || 0) + income.amount;
     });
 
+    // Subcategories rolled up into their parents with ?categoryTree=true
+    if (req.query.categoryTree === "true") {
+      stats.totalAmountByCategory = await buildCategoryTree(incomes);
+    }
+
+    // Who earned what in a shared ledger
+    if (match.ledgerId) {
+      stats.totalAmountByMember = await summarizeByMember(incomes);
+    }
+
     res.json({
       stats,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: "Failed to fetch income stats" });
   }
@@ -180,20 +252,19 @@ incomeRouter.get("/stats/all", authenticateToken, async (req, res) => {
 // GET /income/filter
 incomeRouter.get("/stats/filter", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-
     // Extract filter parameters from the request
-    const { startDate, endDate, frequency } = req.query;
+    const { startDate, endDate, frequency, ledgerId } = req.query;
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
 
     // Validate and parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseDateBoundary(startDate, req.user.preferences);
+    const end = parseDateBoundary(endDate, req.user.preferences, true);
 
     // Calculate filtered incomes
     const incomes = await Income.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(userId),
+          ...match,
           date: { $gte: start, $lte: end }, // Filter by date range
         },
       },
@@ -216,29 +287,6 @@ incomeRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       totalAmountByCategory: {},
     };
 
-    // Helper function to get frequency key
-    const getFrequencyKey = (date) => {
-      const d = new Date(date);
-      switch (frequency) {
-        case "daily":
-          return d.toISOString().slice(0, 10); // Format: YYYY-MM-DD
-        case "weekly": {
-          const week = Math.ceil(d.getDate() / 7); // Calculate week number
-          return `${d.getFullYear()}-W${week}`; // Format: YYYY-W<number>
-        }
-        case "monthly":
-          return d.toISOString().slice(0, 7); // Format: YYYY-MM
-        case "quarterly": {
-          const quarter = Math.floor(d.getMonth() / 3) + 1; // Calculate quarter
-          return `${d.getFullYear()}-Q${quarter}`; // Format: YYYY-Q<number>
-        }
-        case "yearly":
-          return `${d.getFullYear()}`; // Format: YYYY
-        default:
-          return d.toISOString().slice(0, 7); // Default to monthly
-      }
-    };
-
     // Iterate through the incomes
     incomes.forEach((income) => {
       // Total amount
@@ -249,7 +297,11 @@ incomeRouter.get("/stats/filter", authenticateToken, async (req, res) => {
         (stats.totalAmountByType[income.type] || 0) + income.amount;
 
       // Total amount by frequency
-      const frequencyKey = getFrequencyKey(income.date);
+      const frequencyKey = getFrequencyKey(
+        income.date,
+        frequency,
+        req.user.preferences
+      );
       stats.totalAmountByFrequency[frequencyKey] =
         (stats.totalAmountByFrequency[frequencyKey] || 0) + income.amount;
 
@@ -259,11 +311,24 @@ incomeRouter.get("/stats/filter", authenticateToken, async (req, res) => {
         (stats.totalAmountByCategory[categoryName] || 0) + income.amount;
     });
 
+    // Subcategories rolled up into their parents with ?categoryTree=true
+    if (req.query.categoryTree === "true") {
+      stats.totalAmountByCategory = await buildCategoryTree(incomes);
+    }
+
+    // Who earned what in a shared ledger
+    if (match.ledgerId) {
+      stats.totalAmountByMember = await summarizeByMember(incomes);
+    }
+
     // Send the response
     res.json({
       stats,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error("Error:", error);
     res
       .status(500)
@@ -274,20 +339,19 @@ incomeRouter.get("/stats/filter", authenticateToken, async (req, res) => {
 // GET /get/all
 incomeRouter.get("/get/all", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-
     // Extract filter parameters from the request
-    const { startDate, endDate, frequency } = req.query;
+    const { startDate, endDate, frequency, ledgerId } = req.query;
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
 
     // Validate and parse dates
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = parseDateBoundary(startDate, req.user.preferences);
+    const end = parseDateBoundary(endDate, req.user.preferences, true);
 
     // Calculate filtered incomes
     const incomes = await Income.aggregate([
       {
         $match: {
-          userId: new mongoose.Types.ObjectId(userId),
+          ...match,
           date: { $gte: start, $lte: end }, // Filter by date range
         },
       },
@@ -325,6 +389,9 @@ incomeRouter.get("/get/all", authenticateToken, async (req, res) => {
       incomes: incomesResponse,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error("Error:", error);
     res
       .status(500)
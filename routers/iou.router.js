@@ -0,0 +1,446 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const {
+  Contact,
+  IouEntry,
+  Income,
+  Expense,
+  Trip,
+  IOU_KINDS,
+} = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+} = require("../util/accounts");
+const {
+  TransactionLockedError,
+  assertTransactionUnlocked,
+} = require("../util/reconciliation");
+const { summarizeEntries, getContactBalances } = require("../util/iou");
+const iouRouter = express.Router();
+
+// Entry kinds an expense (money out) or income (money in) can become
+const CONVERSION_KINDS = {
+  expense: ["lent", "repayment-made"],
+  income: ["repayment-received", "borrowed"],
+};
+
+const findContact = async (id, userId, minRole) =>
+  Contact.findOne({ _id: id, ...(await buildAccessFilter(userId, minRole)) });
+
+const parseOptionalDate = (value, preferences) =>
+  value ? parseDateBoundary(value, preferences) : value;
+
+// @route   POST /api/iou/contacts
+// @desc    Add a contact money is lent to or borrowed from
+// @access  Protected
+iouRouter.post("/contacts", authenticateToken, async (req, res) => {
+  const { name, email, phone, note, ledgerId } = req.body;
+
+  if (!name) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Name is required" });
+  }
+
+  try {
+    // Shared contacts need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+
+    const contact = new Contact({
+      userId: req.user.userId,
+      ledgerId: ledgerId || null,
+      name,
+      email,
+      phone,
+      note,
+    });
+
+    await contact.save();
+    res.status(201).json({ success: true, contact });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/iou/contacts
+// @desc    Get all contacts with their outstanding balance and the totals
+//          owed to and by you (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+iouRouter.get("/contacts", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const { contacts, totals } = await getContactBalances(match);
+    res.status(200).json({ success: true, contacts, totals });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/iou/contacts/:id
+// @desc    Get a contact with its entries, outstanding balance and open debts
+// @access  Protected
+iouRouter.get("/contacts/:id", authenticateToken, async (req, res) => {
+  try {
+    const contact = await findContact(req.params.id, req.user.userId, "viewer");
+
+    if (!contact) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Contact not found" });
+    }
+
+    const entries = await IouEntry.find({ contactId: contact._id }).sort({
+      date: -1,
+    });
+    res.status(200).json({
+      success: true,
+      contact,
+      summary: summarizeEntries(entries),
+      entries,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/iou/contacts/:id
+// @desc    Update a contact by ID
+// @access  Protected
+iouRouter.put("/contacts/:id", authenticateToken, async (req, res) => {
+  const { name, email, phone, note } = req.body;
+
+  try {
+    const contact = await Contact.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      { name, email, phone, note },
+      { new: true, runValidators: true }
+    );
+
+    if (!contact) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Contact not found" });
+    }
+
+    res.status(200).json({ success: true, contact });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/iou/contacts/:id
+// @desc    Delete a contact with all its entries
+// @access  Protected
+iouRouter.delete("/contacts/:id", authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const contact = await findContact(req.params.id, req.user.userId, "editor");
+
+    if (!contact) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(404)
+        .json({ success: false, message: "Contact not found" });
+    }
+
+    const clearedEntries = await IouEntry.find(
+      { contactId: contact._id, clearedAt: { $ne: null } },
+      "_id"
+    );
+    for (const entry of clearedEntries) {
+      await assertTransactionUnlocked(IouEntry, { _id: entry._id });
+    }
+
+    await IouEntry.deleteMany({ contactId: contact._id }, { session });
+    await Contact.deleteOne({ _id: contact._id }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Contact deleted successfully" });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/iou/entries
+// @desc    Record money lent to or borrowed from a contact, or a (partial)
+//          repayment
+// @access  Protected
+iouRouter.post("/entries", authenticateToken, async (req, res) => {
+  const { contactId, kind, amount, date, description, dueDate, accountId } =
+    req.body;
+
+  if (!contactId || !IOU_KINDS.includes(kind) || !(amount > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: `contactId, a positive amount and a kind (${IOU_KINDS.join(
+        ", "
+      )}) are required`,
+    });
+  }
+
+  try {
+    const contact = await findContact(contactId, req.user.userId, "editor");
+    if (!contact) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Contact not found" });
+    }
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
+    const entry = new IouEntry({
+      userId: req.user.userId,
+      ledgerId: contact.ledgerId,
+      contactId: contact._id,
+      kind,
+      amount,
+      date: date ? parseDateBoundary(date, req.user.preferences) : new Date(),
+      description,
+      dueDate: parseOptionalDate(dueDate, req.user.preferences) || null,
+      accountId: accountId || null,
+    });
+
+    await entry.save();
+    res.status(201).json({ success: true, entry });
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/iou/entries
+// @desc    Get entries, optionally of one contact (?contactId=) or ledger (?ledgerId=)
+// @access  Protected
+iouRouter.get("/entries", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    if (req.query.contactId) match.contactId = req.query.contactId;
+
+    const entries = await IouEntry.find(match)
+      .populate("contactId", "name")
+      .sort({ date: -1 });
+    res.status(200).json({ success: true, entries });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/iou/entries/:id
+// @desc    Update an entry by ID
+// @access  Protected
+iouRouter.put("/entries/:id", authenticateToken, async (req, res) => {
+  const { kind, amount, date, description, dueDate, accountId } = req.body;
+
+  try {
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
+    const filter = {
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(IouEntry, filter);
+
+    const entry = await IouEntry.findOneAndUpdate(
+      filter,
+      {
+        kind,
+        amount,
+        date: parseOptionalDate(date, req.user.preferences),
+        description,
+        dueDate: parseOptionalDate(dueDate, req.user.preferences),
+        accountId,
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Entry not found" });
+    }
+
+    res.status(200).json({ success: true, entry });
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/iou/entries/:id
+// @desc    Delete an entry by ID
+// @access  Protected
+iouRouter.delete("/entries/:id", authenticateToken, async (req, res) => {
+  try {
+    const filter = {
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(IouEntry, filter);
+
+    const entry = await IouEntry.findOneAndDelete(filter);
+
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Entry not found" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Entry deleted successfully" });
+  } catch (err) {
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/iou/convert
+// @desc    Turn an existing expense (expenseId, into "lent" or "repayment-made")
+//          or income (incomeId, into "repayment-received" or "borrowed") into
+//          an entry of a contact. Amount, date, account and statement
+//          clearing are kept and the original transaction is removed.
+// @access  Protected
+iouRouter.post("/convert", authenticateToken, async (req, res) => {
+  const { expenseId, incomeId, contactId, dueDate } = req.body;
+
+  if (!contactId || Boolean(expenseId) === Boolean(incomeId)) {
+    return res.status(400).json({
+      success: false,
+      message: "contactId and either expenseId or incomeId are required",
+    });
+  }
+
+  const source = expenseId ? "expense" : "income";
+  const kind = req.body.kind || CONVERSION_KINDS[source][0];
+  if (!CONVERSION_KINDS[source].includes(kind)) {
+    return res.status(400).json({
+      success: false,
+      message: `An ${source} can only become ${CONVERSION_KINDS[source].join(
+        " or "
+      )}`,
+    });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const contact = await findContact(contactId, req.user.userId, "editor");
+    if (!contact) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(404)
+        .json({ success: false, message: "Contact not found" });
+    }
+
+    const model = expenseId ? Expense : Income;
+    const filter = {
+      _id: expenseId || incomeId,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }; // Ensure user ownership or ledger editor access
+    await assertTransactionUnlocked(model, filter);
+
+    const transaction = await model.findOneAndDelete(filter, { session });
+    if (!transaction) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: `${expenseId ? "Expense" : "Income"} not found`,
+      });
+    }
+    if (transaction.loanId) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: "Expense is a loan payment, remove it from the loan first",
+      });
+    }
+    if (expenseId) {
+      await Trip.updateMany(
+        { expenses: transaction._id },
+        { $pull: { expenses: transaction._id } },
+        { session }
+      );
+    }
+
+    const [entry] = await IouEntry.create(
+      [
+        {
+          userId: transaction.userId,
+          ledgerId: contact.ledgerId,
+          contactId: contact._id,
+          kind,
+          amount: transaction.amount,
+          date: transaction.date,
+          description: expenseId ? transaction.description : transaction.source,
+          dueDate: parseOptionalDate(dueDate, req.user.preferences) || null,
+          accountId: transaction.accountId,
+          reconciliationId: transaction.reconciliationId,
+          statementLineId: transaction.statementLineId,
+          clearedAt: transaction.clearedAt,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ success: true, entry });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    if (err instanceof TransactionLockedError) {
+      return res.status(409).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = iouRouter;
@@ -0,0 +1,370 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const models = require("../db/model");
+const { sendMail } = require("../util/mailer");
+const { generateActionEmailHTML } = require("../util/common");
+const { generateRandomToken, hashToken } = require("../util/tokens");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  getLedgerRole,
+} = require("../util/ledgerAccess");
+const ledgerRouter = express.Router();
+
+const { Ledger, User } = models;
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Invitations are valid for a week
+
+// Every model whose documents can belong to a shared ledger
+const getSharedModels = () =>
+  Object.values(models).filter(
+    (model) => model?.modelName && model.schema.path("ledgerId")
+  );
+
+// Ledger with member emails, for responses
+const populateMembers = (query) =>
+  query.populate("members.userId", "email").select("-invitations.tokenHash");
+
+const handleLedgerError = (res, err) => {
+  if (err instanceof LedgerAccessError) {
+    return res.status(403).json({ success: false, message: err.message });
+  }
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// @route   POST /api/ledger
+// @desc    Create a shared ledger owned by the authenticated user
+// @access  Protected
+ledgerRouter.post("/", authenticateToken, async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Name is required" });
+  }
+
+  try {
+    const ledger = new Ledger({
+      userId: req.user.userId,
+      name,
+      members: [{ userId: req.user.userId, role: "owner" }],
+    });
+
+    await ledger.save();
+    res.status(201).json({ success: true, ledger });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/ledger
+// @desc    Get all ledgers the authenticated user is a member of
+// @access  Protected
+ledgerRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const ledgers = await populateMembers(
+      Ledger.find({ "members.userId": req.user.userId })
+    ).sort({ createdAt: -1 });
+    res.status(200).json({ success: true, ledgers });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/ledger/invitations/accept
+// @desc    Join a ledger using an emailed invitation token
+// @access  Protected
+ledgerRouter.post(
+  "/invitations/accept",
+  authenticateToken,
+  async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invitation token is required" });
+    }
+
+    try {
+      const tokenHash = hashToken(token);
+      const ledger = await Ledger.findOne({
+        "invitations.tokenHash": tokenHash,
+      });
+      const invitation = ledger?.invitations.find(
+        (inv) => inv.tokenHash === tokenHash
+      );
+      if (!invitation || invitation.expiresAt < new Date()) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Invitation not found or expired" });
+      }
+      if (invitation.email !== String(req.user.email).toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          message: "This invitation was sent to a different email address",
+        });
+      }
+
+      if (!getLedgerRole(ledger, req.user.userId)) {
+        ledger.members.push({ userId: req.user.userId, role: invitation.role });
+      }
+      ledger.invitations.pull(invitation._id);
+      await ledger.save();
+
+      res.status(200).json({ success: true, ledger });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// @route   GET /api/ledger/:id
+// @desc    Get a ledger with its members and pending invitations
+// @access  Protected (members)
+ledgerRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    await assertLedgerAccess(req.params.id, req.user.userId, "viewer");
+    const ledger = await populateMembers(Ledger.findById(req.params.id));
+    res.status(200).json({ success: true, ledger });
+  } catch (err) {
+    handleLedgerError(res, err);
+  }
+});
+
+// @route   PUT /api/ledger/:id
+// @desc    Rename a ledger
+// @access  Protected (owner)
+ledgerRouter.put("/:id", authenticateToken, async (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Name is required" });
+  }
+
+  try {
+    const ledger = await assertLedgerAccess(
+      req.params.id,
+      req.user.userId,
+      "owner"
+    );
+    ledger.name = name;
+    await ledger.save();
+    res.status(200).json({ success: true, ledger });
+  } catch (err) {
+    handleLedgerError(res, err);
+  }
+});
+
+// @route   DELETE /api/ledger/:id
+// @desc    Delete a ledger, its documents go back to the members who created them
+// @access  Protected (owner)
+ledgerRouter.delete("/:id", authenticateToken, async (req, res) => {
+  let ledger;
+  try {
+    ledger = await assertLedgerAccess(req.params.id, req.user.userId, "owner");
+  } catch (err) {
+    return handleLedgerError(res, err);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const model of getSharedModels()) {
+      await model.updateMany(
+        { ledgerId: ledger._id },
+        { ledgerId: null },
+        { session }
+      );
+    }
+    await Ledger.deleteOne({ _id: ledger._id }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Ledger deleted successfully" });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/ledger/:id/invitations
+// @desc    Invite someone by email to join the ledger as editor or viewer
+// @access  Protected (owner)
+ledgerRouter.post("/:id/invitations", authenticateToken, async (req, res) => {
+  const { email, role = "viewer" } = req.body;
+
+  if (!email || !["editor", "viewer"].includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: "Email and a role of editor or viewer are required",
+    });
+  }
+
+  try {
+    const ledger = await assertLedgerAccess(
+      req.params.id,
+      req.user.userId,
+      "owner"
+    );
+    const normalizedEmail = String(email).trim().toLowerCase();
+
+    const existingUser = await User.findOne({ email: normalizedEmail }, "_id");
+    if (existingUser && getLedgerRole(ledger, existingUser._id)) {
+      return res
+        .status(409)
+        .json({ success: false, message: "User is already a member" });
+    }
+
+    // A new invitation replaces any pending one for the same email
+    const token = generateRandomToken();
+    ledger.invitations = ledger.invitations.filter(
+      (inv) => inv.email !== normalizedEmail
+    );
+    ledger.invitations.push({
+      email: normalizedEmail,
+      role,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.userId,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+    });
+    await ledger.save();
+
+    await sendMail({
+      from: process.env.SENDER_EMAIL,
+      to: normalizedEmail,
+      subject: `You have been invited to the "${ledger.name}" ledger`,
+      html: generateActionEmailHTML({
+        title: "Ledger invitation",
+        message: `${req.user.email} invited you to join the shared ledger "${ledger.name}" as ${role}. Sign in (or register with this email) and accept the invitation within 7 days.`,
+        actionUrl: `${process.env.APP_BASE_URL}/ledgers/accept?token=${token}`,
+        actionLabel: "Accept invitation",
+      }),
+    });
+
+    res.status(201).json({ success: true, message: "Invitation sent" });
+  } catch (err) {
+    handleLedgerError(res, err);
+  }
+});
+
+// @route   DELETE /api/ledger/:id/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Protected (owner)
+ledgerRouter.delete(
+  "/:id/invitations/:invitationId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const ledger = await assertLedgerAccess(
+        req.params.id,
+        req.user.userId,
+        "owner"
+      );
+      if (!ledger.invitations.id(req.params.invitationId)) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Invitation not found" });
+      }
+
+      ledger.invitations.pull(req.params.invitationId);
+      await ledger.save();
+      res.status(200).json({ success: true, message: "Invitation cancelled" });
+    } catch (err) {
+      handleLedgerError(res, err);
+    }
+  }
+);
+
+// @route   PUT /api/ledger/:id/members/:memberId
+// @desc    Change the role of a member (editor or viewer)
+// @access  Protected (owner)
+ledgerRouter.put(
+  "/:id/members/:memberId",
+  authenticateToken,
+  async (req, res) => {
+    const { role } = req.body;
+
+    if (!["editor", "viewer"].includes(role)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Role must be editor or viewer" });
+    }
+
+    try {
+      const ledger = await assertLedgerAccess(
+        req.params.id,
+        req.user.userId,
+        "owner"
+      );
+      const member = ledger.members.find(
+        (m) => String(m.userId) === req.params.memberId
+      );
+      if (!member) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Member not found" });
+      }
+      if (member.role === "owner") {
+        return res
+          .status(400)
+          .json({ success: false, message: "The owner's role cannot change" });
+      }
+
+      member.role = role;
+      await ledger.save();
+      res.status(200).json({ success: true, ledger });
+    } catch (err) {
+      handleLedgerError(res, err);
+    }
+  }
+);
+
+// @route   DELETE /api/ledger/:id/members/:memberId
+// @desc    Remove a member (owner) or leave the ledger (any member, own id)
+// @access  Protected
+ledgerRouter.delete(
+  "/:id/members/:memberId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const isLeaving = req.params.memberId === String(req.user.userId);
+      const ledger = await assertLedgerAccess(
+        req.params.id,
+        req.user.userId,
+        isLeaving ? "viewer" : "owner"
+      );
+      const member = ledger.members.find(
+        (m) => String(m.userId) === req.params.memberId
+      );
+      if (!member) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Member not found" });
+      }
+      if (member.role === "owner") {
+        return res.status(400).json({
+          success: false,
+          message: "The owner cannot leave, delete the ledger instead",
+        });
+      }
+
+      ledger.members.pull(member._id);
+      await ledger.save();
+      res.status(200).json({ success: true, message: "Member removed" });
+    } catch (err) {
+      handleLedgerError(res, err);
+    }
+  }
+);
+
+module.exports = ledgerRouter;
@@ -0,0 +1,483 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const { Loan, Expense, Category } = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+} = require("../util/accounts");
+const {
+  calculateEmi,
+  buildAmortisationSchedule,
+  applyLoanPayments,
+  getLoanStatus,
+  planDebtPayoff,
+} = require("../util/loan");
+const loanRouter = express.Router();
+
+// Loan with its outstanding balance, for responses
+const withStatus = async (loan, preferences) => ({
+  ...loan.toObject(),
+  status: await getLoanStatus(loan, preferences),
+});
+
+const findLoan = async (id, userId, minRole) =>
+  Loan.findOne({ _id: id, ...(await buildAccessFilter(userId, minRole)) });
+
+// @route   POST /api/loans
+// @desc    Add a loan. The EMI is computed from principal, rate and tenure
+//          unless given.
+// @access  Protected
+loanRouter.post("/", authenticateToken, async (req, res) => {
+  const {
+    name,
+    lender,
+    principal,
+    annualRate,
+    tenureMonths,
+    startDate,
+    emi,
+    categoryId,
+    accountId,
+    ledgerId,
+  } = req.body;
+
+  if (
+    !name ||
+    !startDate ||
+    !(principal > 0) ||
+    !(annualRate >= 0) ||
+    !(tenureMonths >= 1)
+  ) {
+    return res.status(400).json({
+      success: false,
+      message:
+        "name, startDate, principal, annualRate and tenureMonths are required",
+    });
+  }
+
+  try {
+    // Shared loans need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    if (accountId) await assertAccountAccess(accountId, req.user.userId);
+
+    const loan = new Loan({
+      userId: req.user.userId,
+      ledgerId: ledgerId || null,
+      name,
+      lender,
+      principal,
+      annualRate,
+      tenureMonths,
+      startDate: parseDateBoundary(startDate, req.user.preferences),
+      emi: emi ?? calculateEmi(principal, annualRate, tenureMonths),
+      categoryId: categoryId || null,
+      accountId: accountId || null,
+    });
+
+    await loan.save();
+    res.status(201).json({
+      success: true,
+      loan: await withStatus(loan, req.user.preferences),
+    });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/loans
+// @desc    Get all loans with their outstanding balance (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+loanRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const loans = await Loan.find(match).sort({ startDate: 1 });
+
+    const loansWithStatus = [];
+    for (const loan of loans) {
+      loansWithStatus.push(await withStatus(loan, req.user.preferences));
+    }
+    res.status(200).json({ success: true, loans: loansWithStatus });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/loans/planner
+// @desc    Compare paying EMIs only with the avalanche and snowball strategies
+//          and with prepaying a single loan, for an extra monthly budget
+//          (?extraMonthly=) and/or a one-off amount (?lumpSum=)
+// @access  Protected
+loanRouter.get("/planner", authenticateToken, async (req, res) => {
+  const extraMonthly = Number(req.query.extraMonthly || 0);
+  const lumpSum = Number(req.query.lumpSum || 0);
+
+  if (!(extraMonthly >= 0) || !(lumpSum >= 0)) {
+    return res
+      .status(400)
+      .json({ error: "extraMonthly and lumpSum must be positive numbers" });
+  }
+
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const loans = await Loan.find(match);
+
+    const balances = [];
+    for (const loan of loans) {
+      const status = await getLoanStatus(loan, req.user.preferences);
+      if (status.outstandingBalance <= 0) continue;
+      balances.push({
+        loanId: loan._id,
+        name: loan.name,
+        balance: status.outstandingBalance,
+        annualRate: loan.annualRate,
+        emi: loan.emi,
+      });
+    }
+
+    res.json({
+      loans: balances,
+      ...planDebtPayoff(
+        balances,
+        { extraMonthly, lumpSum },
+        req.user.preferences
+      ),
+    });
+  } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error("Error planning debt payoff:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   GET /api/loans/:id
+// @desc    Get a loan with its outstanding balance and EMI payments
+// @access  Protected
+loanRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id, req.user.userId, "viewer");
+
+    if (!loan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Loan not found" });
+    }
+
+    const payments = await Expense.find(
+      { loanId: loan._id },
+      "amount date description principalAmount interestAmount"
+    ).sort({ date: 1 });
+    res.status(200).json({
+      success: true,
+      loan: await withStatus(loan, req.user.preferences),
+      payments,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/loans/:id/schedule
+// @desc    Amortisation schedule of a loan at its EMI
+// @access  Protected
+loanRouter.get("/:id/schedule", authenticateToken, async (req, res) => {
+  try {
+    const loan = await findLoan(req.params.id, req.user.userId, "viewer");
+
+    if (!loan) {
+      return res.status(404).json({ error: "Loan not found" });
+    }
+
+    res.json({
+      loan,
+      ...buildAmortisationSchedule(loan, req.user.preferences),
+    });
+  } catch (error) {
+    console.error("Error building amortisation schedule:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   PUT /api/loans/:id
+// @desc    Update a loan by ID. Changing principal, rate or tenure recomputes
+//          the EMI unless one is given.
+// @access  Protected
+loanRouter.put("/:id", authenticateToken, async (req, res) => {
+  const allowedFields = [
+    "name",
+    "lender",
+    "principal",
+    "annualRate",
+    "tenureMonths",
+    "startDate",
+    "categoryId",
+    "accountId",
+  ];
+  const updates = {};
+  allowedFields.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+  const { emi } = req.body;
+
+  try {
+    if (updates.accountId) {
+      await assertAccountAccess(updates.accountId, req.user.userId);
+    }
+    if (updates.startDate) {
+      updates.startDate = parseDateBoundary(
+        updates.startDate,
+        req.user.preferences
+      );
+    }
+
+    const loan = await findLoan(req.params.id, req.user.userId, "editor");
+    if (!loan) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Loan not found" });
+    }
+
+    const termsChanged = ["principal", "annualRate", "tenureMonths"].some(
+      (field) => field in updates
+    );
+    loan.set(updates);
+    if (emi !== undefined) {
+      loan.emi = emi;
+    } else if (termsChanged) {
+      loan.emi = calculateEmi(
+        loan.principal,
+        loan.annualRate,
+        loan.tenureMonths
+      );
+    }
+
+    await loan.save();
+    await applyLoanPayments(loan);
+    res.status(200).json({
+      success: true,
+      loan: await withStatus(loan, req.user.preferences),
+    });
+  } catch (err) {
+    if (err instanceof AccountNotFoundError) {
+      return res.status(404).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/loans/:id
+// @desc    Delete a loan, its EMI expenses are kept as plain expenses
+// @access  Protected
+loanRouter.delete("/:id", authenticateToken, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const loan = await Loan.findOneAndDelete(
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      },
+      { session }
+    ); // Ensure user ownership or ledger editor access
+
+    if (!loan) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(404)
+        .json({ success: false, message: "Loan not found" });
+    }
+
+    await Expense.updateMany(
+      { loanId: loan._id },
+      { loanId: null, principalAmount: null, interestAmount: null },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Loan deleted successfully" });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/loans/:id/payments
+// @desc    Record an EMI or prepayment. Pass expenseId to link an existing
+//          expense, otherwise an expense is created ({ amount, date,
+//          categoryId }, amount defaults to the EMI). Principal and interest
+//          of every payment are recomputed.
+// @access  Protected
+loanRouter.post("/:id/payments", authenticateToken, async (req, res) => {
+  const { expenseId, amount, date, description } = req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const loan = await findLoan(req.params.id, req.user.userId, "editor");
+    if (!loan) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(404)
+        .json({ success: false, message: "Loan not found" });
+    }
+
+    let expense;
+    if (expenseId) {
+      // Ensure user ownership or ledger editor access
+      const filter = {
+        _id: expenseId,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      };
+      const linked = await Expense.findOne(
+        filter,
+        "loanId principalAmount interestAmount",
+        { session }
+      );
+      // Linking it again would count its principal twice
+      if (
+        linked &&
+        (linked.loanId ||
+          linked.principalAmount !== null ||
+          linked.interestAmount !== null)
+      ) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({
+          success: false,
+          message: "Expense is already a loan payment",
+        });
+      }
+      expense = await Expense.findOneAndUpdate(
+        filter,
+        { loanId: loan._id },
+        { new: true, session }
+      );
+    } else {
+      const categoryId = req.body.categoryId || loan.categoryId;
+      const category =
+        categoryId &&
+        (await Category.findOne({
+          _id: categoryId,
+          ...(await buildAccessFilter(req.user.userId, "editor")),
+        }));
+      if (!category) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: "categoryId is required when the loan has no EMI category",
+        });
+      }
+
+      [expense] = await Expense.create(
+        [
+          {
+            userId: req.user.userId,
+            ledgerId: loan.ledgerId,
+            categoryId: category._id,
+            accountId: loan.accountId,
+            amount: amount ?? loan.emi,
+            description: description || `${loan.name} EMI`,
+            date: date
+              ? parseDateBoundary(date, req.user.preferences)
+              : new Date(),
+            type: "fixed",
+            needOrWant: "need",
+            loanId: loan._id,
+          },
+        ],
+        { session }
+      );
+    }
+
+    if (!expense) {
+      await session.abortTransaction();
+      session.endSession();
+      return res
+        .status(404)
+        .json({ success: false, message: "Expense not found" });
+    }
+
+    await applyLoanPayments(loan, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      expense: await Expense.findById(expense._id),
+      loan: await withStatus(loan, req.user.preferences),
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/loans/:id/payments/:expenseId
+// @desc    Unlink a payment from a loan, the expense itself is kept
+// @access  Protected
+loanRouter.delete(
+  "/:id/payments/:expenseId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const loan = await findLoan(req.params.id, req.user.userId, "editor");
+      if (!loan) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Loan not found" });
+      }
+
+      const expense = await Expense.findOneAndUpdate(
+        { _id: req.params.expenseId, loanId: loan._id },
+        { loanId: null, principalAmount: null, interestAmount: null }
+      );
+      if (!expense) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Payment not found" });
+      }
+
+      await applyLoanPayments(loan);
+      res.status(200).json({
+        success: true,
+        loan: await withStatus(loan, req.user.preferences),
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+module.exports = loanRouter;
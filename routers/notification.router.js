@@ -0,0 +1,189 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const { Notification, User } = require("../db/model");
+const {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  resolveNotificationPreferences,
+} = require("../util/notifications");
+const notificationRouter = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// @route   GET /api/notifications
+// @desc    List notifications, unread first then newest first (?page=&limit=&unreadOnly=true)
+// @access  Protected
+notificationRouter.get("/", authenticateToken, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  try {
+    const match = {
+      userId: new mongoose.Types.ObjectId(req.user.userId),
+      inApp: { $ne: false },
+    };
+    const unreadMatch = { ...match, readAt: null };
+    const filter = req.query.unreadOnly === "true" ? unreadMatch : match;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.aggregate([
+        { $match: filter },
+        {
+          $addFields: {
+            isRead: { $ne: [{ $ifNull: ["$readAt", null] }, null] },
+          },
+        },
+        { $sort: { isRead: 1, createdAt: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { isRead: 0, dedupeKey: 0, inApp: 0 } },
+      ]),
+      Notification.countDocuments(filter),
+      Notification.countDocuments(unreadMatch),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      notifications,
+      page,
+      limit,
+      total,
+      unreadCount,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get the in-app / email channels of every notification type
+// @access  Protected
+notificationRouter.get("/preferences", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(
+      req.user.userId,
+      "notificationPreferences"
+    );
+    res.status(200).json({
+      success: true,
+      preferences: resolveNotificationPreferences(user),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update channels per type, e.g. { "budget-alert": { "email": true } }
+// @access  Protected
+notificationRouter.put("/preferences", authenticateToken, async (req, res) => {
+  const updates = {};
+  for (const [type, channels] of Object.entries(req.body || {})) {
+    if (!DEFAULT_NOTIFICATION_PREFERENCES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown notification type: ${type}`,
+      });
+    }
+    for (const channel of ["inApp", "email"]) {
+      if (channels?.[channel] === undefined) continue;
+      if (typeof channels[channel] !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: `${type}.${channel} must be true or false`,
+        });
+      }
+      updates[`notificationPreferences.${type}.${channel}`] = channels[channel];
+    }
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user.userId, updates, {
+      new: true,
+      fields: "notificationPreferences",
+    });
+    res.status(200).json({
+      success: true,
+      preferences: resolveNotificationPreferences(user),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Protected
+notificationRouter.put("/read-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, readAt: null },
+      { readAt: new Date() }
+    );
+    res.status(200).json({ success: true, updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Protected
+notificationRouter.put("/:id/read", authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, inApp: { $ne: false } },
+      [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }], // Keep the first read time
+      { new: true, projection: { dedupeKey: 0, inApp: 0 } }
+    );
+
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found" });
+    }
+
+    res.status(200).json({ success: true, notification });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Protected
+notificationRouter.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    // De-duplicated notifications are hidden instead, so they are not sent again
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      inApp: { $ne: false },
+    });
+
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found" });
+    }
+
+    if (notification.dedupeKey) {
+      notification.inApp = false;
+      await notification.save();
+    } else {
+      await notification.deleteOne();
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Notification deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = notificationRouter;
@@ -0,0 +1,323 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const authenticateToken = require("../util/jwt");
+const { Account, Reconciliation } = require("../db/model");
+const { parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  AccountNotFoundError,
+  assertAccountAccess,
+} = require("../util/accounts");
+const {
+  ReconciliationError,
+  parseStatementLines,
+  getDefaultOpeningBalance,
+  unclearEntries,
+  runReconciliation,
+  getReconciliationSummary,
+} = require("../util/reconciliation");
+const reconciliationRouter = express.Router();
+
+const handleReconciliationError = (res, err) => {
+  if (err instanceof ReconciliationError) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  if (err instanceof AccountNotFoundError) {
+    return res.status(404).json({ success: false, message: err.message });
+  }
+  if (err instanceof LedgerAccessError) {
+    return res.status(403).json({ success: false, message: err.message });
+  }
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Load a reconciliation and its account, null when not found
+const loadReconciliation = async (id, userId, minRole) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const reconciliation = await Reconciliation.findOne({
+    _id: id,
+    ...(await buildAccessFilter(userId, minRole)),
+  });
+  if (!reconciliation) return null;
+  const account = await Account.findById(reconciliation.accountId);
+  return account ? { reconciliation, account } : null;
+};
+
+const notFound = (res) =>
+  res.status(404).json({ success: false, message: "Reconciliation not found" });
+
+// Matches can only change while the period is open
+const rejectIfReconciled = (res, reconciliation) => {
+  if (reconciliation.status !== "reconciled") return false;
+  res.status(409).json({
+    success: false,
+    message: "Period is already reconciled, reopen it to change matches",
+  });
+  return true;
+};
+
+// @route   POST /api/reconciliations
+// @desc    Start reconciling an account statement period. `lines` are the
+//          statement records (e.g. from /api/import-config analyze), matching
+//          transactions are cleared right away.
+// @access  Protected
+reconciliationRouter.post("/", authenticateToken, async (req, res) => {
+  const {
+    accountId,
+    periodStart,
+    periodEnd,
+    statementOpeningBalance,
+    statementClosingBalance,
+    lines,
+  } = req.body;
+
+  if (!accountId || !periodStart || !periodEnd || !Array.isArray(lines)) {
+    return res.status(400).json({
+      success: false,
+      message: "accountId, periodStart, periodEnd and lines are required",
+    });
+  }
+  if (typeof statementClosingBalance !== "number") {
+    return res.status(400).json({
+      success: false,
+      message: "statementClosingBalance must be a number",
+    });
+  }
+
+  try {
+    const account = await assertAccountAccess(accountId, req.user.userId);
+    const start = parseDateBoundary(periodStart, req.user.preferences);
+    const end = parseDateBoundary(periodEnd, req.user.preferences, true);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new ReconciliationError("Invalid statement period");
+    }
+    if (start > end) {
+      throw new ReconciliationError("periodStart must be before periodEnd");
+    }
+
+    // Periods of an account must not overlap, a transaction clears only once
+    const overlapping = await Reconciliation.exists({
+      accountId: account._id,
+      periodStart: { $lte: end },
+      periodEnd: { $gte: start },
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: "This account already has a reconciliation for that period",
+      });
+    }
+
+    const reconciliation = new Reconciliation({
+      userId: req.user.userId,
+      ledgerId: account.ledgerId,
+      accountId: account._id,
+      periodStart: start,
+      periodEnd: end,
+      statementOpeningBalance:
+        typeof statementOpeningBalance === "number"
+          ? statementOpeningBalance
+          : await getDefaultOpeningBalance(account, start),
+      statementClosingBalance,
+      lines: parseStatementLines(lines, req.user.preferences),
+    });
+    await reconciliation.save();
+
+    const summary = await runReconciliation(reconciliation, account);
+    res.status(201).json({ success: true, reconciliation, summary });
+  } catch (err) {
+    handleReconciliationError(res, err);
+  }
+});
+
+// @route   GET /api/reconciliations
+// @desc    Get reconciliations, optionally of one account (?accountId=) or ledger (?ledgerId=)
+// @access  Protected
+reconciliationRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    if (req.query.accountId) match.accountId = req.query.accountId;
+
+    const reconciliations = await Reconciliation.find(match, "-lines")
+      .populate("accountId", "name type")
+      .sort({ periodStart: -1 });
+    res.status(200).json({ success: true, reconciliations });
+  } catch (err) {
+    handleReconciliationError(res, err);
+  }
+});
+
+// @route   GET /api/reconciliations/:id
+// @desc    Get a reconciliation with matched lines, lines missing in the app,
+//          transactions missing on the statement and totals
+// @access  Protected
+reconciliationRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadReconciliation(
+      req.params.id,
+      req.user.userId,
+      "viewer"
+    );
+    if (!loaded) return notFound(res);
+
+    const summary = await getReconciliationSummary(
+      loaded.reconciliation,
+      loaded.account
+    );
+    res.status(200).json({
+      success: true,
+      reconciliation: loaded.reconciliation,
+      summary,
+    });
+  } catch (err) {
+    handleReconciliationError(res, err);
+  }
+});
+
+// @route   POST /api/reconciliations/:id/match
+// @desc    Manually match a statement line ({ lineId, kind, entryId }) where
+//          kind is the entry kind of the account statement (income, expense,
+//          transfer-in, transfer-out, iou-in or iou-out)
+// @access  Protected
+reconciliationRouter.post("/:id/match", authenticateToken, async (req, res) => {
+  const { lineId, kind, entryId } = req.body;
+
+  if (!lineId || !kind || !entryId) {
+    return res.status(400).json({
+      success: false,
+      message: "lineId, kind and entryId are required",
+    });
+  }
+
+  try {
+    const loaded = await loadReconciliation(
+      req.params.id,
+      req.user.userId,
+      "editor"
+    );
+    if (!loaded) return notFound(res);
+    if (rejectIfReconciled(res, loaded.reconciliation)) return;
+
+    const summary = await runReconciliation(
+      loaded.reconciliation,
+      loaded.account,
+      { lineId, kind, entryId }
+    );
+    res.status(200).json({
+      success: true,
+      reconciliation: loaded.reconciliation,
+      summary,
+    });
+  } catch (err) {
+    handleReconciliationError(res, err);
+  }
+});
+
+// @route   POST /api/reconciliations/:id/unmatch
+// @desc    Remove the match of a statement line ({ lineId })
+// @access  Protected
+reconciliationRouter.post(
+  "/:id/unmatch",
+  authenticateToken,
+  async (req, res) => {
+    const { lineId } = req.body;
+
+    if (!lineId || !mongoose.isValidObjectId(lineId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "lineId is required" });
+    }
+
+    try {
+      const loaded = await loadReconciliation(
+        req.params.id,
+        req.user.userId,
+        "editor"
+      );
+      if (!loaded) return notFound(res);
+      if (rejectIfReconciled(res, loaded.reconciliation)) return;
+
+      await unclearEntries(loaded.reconciliation, lineId);
+      const summary = await getReconciliationSummary(
+        loaded.reconciliation,
+        loaded.account
+      );
+      res.status(200).json({
+        success: true,
+        reconciliation: loaded.reconciliation,
+        summary,
+      });
+    } catch (err) {
+      handleReconciliationError(res, err);
+    }
+  }
+);
+
+// @route   POST /api/reconciliations/:id/reopen
+// @desc    Reopen a reconciled period so its cleared transactions can be edited
+// @access  Protected
+reconciliationRouter.post(
+  "/:id/reopen",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const loaded = await loadReconciliation(
+        req.params.id,
+        req.user.userId,
+        "editor"
+      );
+      if (!loaded) return notFound(res);
+
+      loaded.reconciliation.status = "open";
+      loaded.reconciliation.reconciledAt = null;
+      await loaded.reconciliation.save();
+
+      res
+        .status(200)
+        .json({ success: true, reconciliation: loaded.reconciliation });
+    } catch (err) {
+      handleReconciliationError(res, err);
+    }
+  }
+);
+
+// @route   DELETE /api/reconciliations/:id
+// @desc    Delete a reconciliation, its transactions are no longer cleared
+// @access  Protected
+reconciliationRouter.delete("/:id", authenticateToken, async (req, res) => {
+  let loaded;
+  try {
+    loaded = await loadReconciliation(req.params.id, req.user.userId, "editor");
+  } catch (err) {
+    return handleReconciliationError(res, err);
+  }
+  if (!loaded) return notFound(res);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await unclearEntries(loaded.reconciliation, null, session);
+    await Reconciliation.deleteOne(
+      { _id: loaded.reconciliation._id },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Reconciliation deleted successfully" });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    handleReconciliationError(res, err);
+  }
+});
+
+module.exports = reconciliationRouter;
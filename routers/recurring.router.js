@@ -0,0 +1,345 @@
+const express = require("express");
+const authenticateToken = require("../util/jwt");
+const {
+  Recurring,
+  Category,
+  Trip,
+  Income,
+  Expense,
+  RECURRING_FREQUENCIES,
+} = require("../db/model");
+const { getStartOfDay, parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  getFirstOccurrenceIndex,
+  getNextRunAt,
+  getUpcomingOccurrences,
+  postOccurrence,
+} = require("../util/recurring");
+const recurringRouter = express.Router();
+
+// Fields that change when the template's occurrences happen
+const SCHEDULE_FIELDS = ["rule", "startDate", "endDate", "active"];
+
+// Validate the template fields that are present, returns an error message or null
+const validateRecurring = ({ kind, rule, mode, needOrWant }) => {
+  if (kind !== undefined && !["expense", "income"].includes(kind)) {
+    return "kind must be expense or income";
+  }
+  if (rule !== undefined && !RECURRING_FREQUENCIES.includes(rule?.frequency)) {
+    return `rule.frequency must be one of ${RECURRING_FREQUENCIES.join(", ")}`;
+  }
+  if (mode !== undefined && !["auto-post", "remind"].includes(mode)) {
+    return "mode must be auto-post or remind";
+  }
+  if (kind === "expense" && !needOrWant) {
+    return "needOrWant is required for recurring expenses";
+  }
+  return null;
+};
+
+// Recompute the next occurrence from `from` on (runs before it are not posted)
+const reschedule = (recurring, from, timezone) => {
+  recurring.occurrenceIndex = getFirstOccurrenceIndex(
+    recurring,
+    from,
+    timezone
+  );
+  recurring.nextRunAt = recurring.active
+    ? getNextRunAt(recurring, timezone)
+    : null;
+};
+
+// Category (of the right type) and trip of a template, checked for editor access
+const loadTemplateRefs = async (userId, { kind, categoryId, tripId }) => {
+  const accessFilter = await buildAccessFilter(userId, "editor");
+  const category = await Category.findOne({
+    _id: categoryId,
+    type: kind,
+    ...accessFilter,
+  });
+  const trip = tripId
+    ? await Trip.findOne({ _id: tripId, ...accessFilter })
+    : null;
+  return { category, trip };
+};
+
+const withUpcoming = (recurring, timezone) => ({
+  ...recurring.toObject(),
+  upcoming: getUpcomingOccurrences(recurring, timezone),
+});
+
+// @route   POST /api/recurring
+// @desc    Create a recurring expense or income template. Past occurrences from
+//          the start date are only posted with backfill: true.
+// @access  Protected
+recurringRouter.post("/", authenticateToken, async (req, res) => {
+  const {
+    kind,
+    categoryId,
+    amount,
+    description,
+    type,
+    needOrWant,
+    tripId,
+    rule,
+    startDate,
+    endDate,
+    mode,
+    backfill = false,
+  } = req.body;
+
+  if (!kind || !categoryId || !amount || !description || !rule) {
+    return res.status(400).json({
+      success: false,
+      message: "kind, categoryId, amount, description and rule are required",
+    });
+  }
+  const validationError = validateRecurring({ kind, rule, mode, needOrWant });
+  if (validationError) {
+    return res.status(400).json({ success: false, message: validationError });
+  }
+
+  try {
+    const { category, trip } = await loadTemplateRefs(req.user.userId, {
+      kind,
+      categoryId,
+      tripId,
+    });
+    if (!category || (tripId && !trip)) {
+      return res.status(404).json({
+        success: false,
+        message: `${category ? "Trip" : `${kind} category`} not found`,
+      });
+    }
+
+    const { preferences } = req.user;
+    const recurring = new Recurring({
+      userId: req.user.userId,
+      ledgerId: category.ledgerId,
+      kind,
+      categoryId: category._id,
+      amount,
+      description,
+      type,
+      needOrWant: kind === "expense" ? needOrWant : undefined,
+      tripId: kind === "expense" && trip ? trip._id : null,
+      rule,
+      startDate: startDate
+        ? parseDateBoundary(startDate, preferences)
+        : getStartOfDay(new Date(), preferences),
+      endDate: endDate ? parseDateBoundary(endDate, preferences, true) : null,
+      mode,
+    });
+    reschedule(
+      recurring,
+      backfill ? recurring.startDate : new Date(),
+      preferences.timezone
+    );
+
+    await recurring.save();
+    res.status(201).json({
+      success: true,
+      recurring: withUpcoming(recurring, preferences.timezone),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/recurring
+// @desc    Get all recurring templates of the user (or of a shared ledger with ?ledgerId=)
+// @access  Protected
+recurringRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const recurring = await Recurring.find(match)
+      .populate("categoryId", "name type")
+      .sort({ nextRunAt: 1 });
+    res.status(200).json({ success: true, recurring });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   GET /api/recurring/:id
+// @desc    Get a recurring template with its next occurrences (?count=)
+// @access  Protected
+recurringRouter.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    const recurring = await Recurring.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }); // Ensure user ownership or ledger membership
+
+    if (!recurring) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recurring template not found" });
+    }
+
+    const count = Math.min(parseInt(req.query.count, 10) || 5, 50);
+    res.status(200).json({
+      success: true,
+      recurring: {
+        ...recurring.toObject(),
+        upcoming: recurring.nextRunAt
+          ? getUpcomingOccurrences(
+              recurring,
+              req.user.preferences.timezone,
+              count
+            )
+          : [],
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   PUT /api/recurring/:id
+// @desc    Update a recurring template. Changing the rule, dates or pausing and
+//          resuming schedules it again from today.
+// @access  Protected
+recurringRouter.put("/:id", authenticateToken, async (req, res) => {
+  const allowedFields = [
+    "categoryId",
+    "amount",
+    "description",
+    "type",
+    "needOrWant",
+    "tripId",
+    "mode",
+    ...SCHEDULE_FIELDS,
+  ];
+  const updates = {};
+  allowedFields.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  try {
+    const recurring = await Recurring.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!recurring) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recurring template not found" });
+    }
+
+    const validationError = validateRecurring({
+      rule: updates.rule,
+      mode: updates.mode,
+    });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (updates.categoryId || updates.tripId) {
+      const { category, trip } = await loadTemplateRefs(req.user.userId, {
+        kind: recurring.kind,
+        categoryId: updates.categoryId || recurring.categoryId,
+        tripId: updates.tripId,
+      });
+      if (!category || (updates.tripId && !trip)) {
+        return res.status(404).json({
+          success: false,
+          message: `${category ? "Trip" : "Category"} not found`,
+        });
+      }
+    }
+
+    const { preferences } = req.user;
+    if (updates.startDate) {
+      updates.startDate = parseDateBoundary(updates.startDate, preferences);
+    }
+    if (updates.endDate) {
+      updates.endDate = parseDateBoundary(updates.endDate, preferences, true);
+    }
+    recurring.set(updates);
+
+    if (SCHEDULE_FIELDS.some((field) => updates[field] !== undefined)) {
+      reschedule(recurring, new Date(), preferences.timezone);
+    }
+
+    await recurring.save();
+    res.status(200).json({
+      success: true,
+      recurring: withUpcoming(recurring, preferences.timezone),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   DELETE /api/recurring/:id
+// @desc    Delete a recurring template, entries it already posted are kept
+// @access  Protected
+recurringRouter.delete("/:id", authenticateToken, async (req, res) => {
+  try {
+    const recurring = await Recurring.findOneAndDelete({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!recurring) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recurring template not found" });
+    }
+
+    const model = recurring.kind === "income" ? Income : Expense;
+    await model.updateMany(
+      { recurringId: recurring._id },
+      { recurringId: null }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Recurring template deleted successfully",
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// @route   POST /api/recurring/:id/post
+// @desc    Record an occurrence now, e.g. after a reminder ({ date, amount } optional)
+// @access  Protected
+recurringRouter.post("/:id/post", authenticateToken, async (req, res) => {
+  const { date, amount } = req.body;
+
+  try {
+    const recurring = await Recurring.findOne({
+      _id: req.params.id,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+
+    if (!recurring) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Recurring template not found" });
+    }
+
+    const posted = await postOccurrence(
+      recurring,
+      date ? parseDateBoundary(date, req.user.preferences) : new Date(),
+      undefined,
+      { amount }
+    );
+    res.status(201).json({ success: true, [recurring.kind]: posted });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = recurringRouter;
@@ -0,0 +1,146 @@
+const express = require("express");
+const authenticateToken = require("../util/jwt");
+const {
+  Recurring,
+  Category,
+  Expense,
+  RECURRING_FREQUENCIES,
+} = require("../db/model");
+const {
+  LedgerAccessError,
+  buildAccessFilter,
+  resolveScopeMatch,
+} = require("../util/ledgerAccess");
+const {
+  detectSubscriptions,
+  getCadenceRule,
+} = require("../util/subscriptionDetector");
+const { getFirstOccurrenceIndex, getNextRunAt } = require("../util/recurring");
+const { getStartOfDay } = require("../util/dates");
+const subscriptionRouter = express.Router();
+
+// Detected subscriptions without the list of matched expenses
+const toResponse = ({ expenseIds, ...subscription }) => subscription;
+
+// @route   GET /api/subscriptions
+// @desc    Detect recurring charges in the expense history (?months=18&ledgerId=)
+// @access  Protected
+subscriptionRouter.get("/", authenticateToken, async (req, res) => {
+  try {
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const months = Math.min(parseInt(req.query.months, 10) || 18, 60);
+    const subscriptions = await detectSubscriptions(match, { months });
+
+    res.json({ subscriptions: subscriptions.map(toResponse) });
+  } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error("Error detecting subscriptions:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// @route   POST /api/subscriptions/convert
+// @desc    Turn a detected subscription into a recurring template starting at its
+//          next expected charge and link its past expenses to it.
+//          Body: { merchant, ledgerId?, mode?, amount?, description? }
+// @access  Protected
+subscriptionRouter.post("/convert", authenticateToken, async (req, res) => {
+  const { merchant, ledgerId, mode = "remind", amount, description } = req.body;
+
+  if (!merchant) {
+    return res
+      .status(400)
+      .json({ success: false, message: "merchant is required" });
+  }
+  if (!["auto-post", "remind"].includes(mode)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "mode must be auto-post or remind" });
+  }
+
+  try {
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
+    const subscription = (await detectSubscriptions(match)).find(
+      (detected) => detected.merchant === merchant
+    );
+
+    if (!subscription) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Subscription not found" });
+    }
+    if (subscription.status === "stopped") {
+      return res.status(400).json({
+        success: false,
+        message: "This subscription has stopped",
+      });
+    }
+    if (subscription.recurringId) {
+      return res.status(409).json({
+        success: false,
+        message: "This subscription already has a recurring template",
+        recurringId: subscription.recurringId,
+      });
+    }
+
+    const rule = getCadenceRule(subscription.cadence);
+    if (!rule || !RECURRING_FREQUENCIES.includes(rule.frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${subscription.cadence} subscription cannot be turned into a recurring template`,
+      });
+    }
+
+    const category = await Category.findOne({
+      _id: subscription.categoryId,
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
+    if (!category) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Category not found" });
+    }
+
+    const { timezone } = req.user.preferences;
+    const recurring = new Recurring({
+      userId: req.user.userId,
+      ledgerId: category.ledgerId,
+      kind: "expense",
+      categoryId: category._id,
+      amount: amount ?? subscription.lastAmount,
+      description: description || subscription.description,
+      type: "fixed",
+      needOrWant: subscription.needOrWant || "want",
+      rule,
+      // Local midnight like the occurrences, so the next charge is not skipped
+      startDate: getStartOfDay(
+        subscription.nextExpectedDate,
+        req.user.preferences
+      ),
+      mode,
+    });
+    recurring.occurrenceIndex = getFirstOccurrenceIndex(
+      recurring,
+      recurring.startDate,
+      timezone
+    );
+    recurring.nextRunAt = getNextRunAt(recurring, timezone);
+    await recurring.save();
+
+    await Expense.updateMany(
+      { _id: { $in: subscription.expenseIds }, recurringId: null },
+      { recurringId: recurring._id }
+    );
+
+    res.status(201).json({ success: true, recurring });
+  } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = subscriptionRouter;
@@ -1,14 +1,33 @@
 const express = require("express");
-const { Trip } = require("../db/model");
+const { Trip, Goal } = require("../db/model");
 const authenticateToken = require("../util/jwt");
-const { default: mongoose } = require("mongoose");
+const { getFrequencyKey, parseDateBoundary } = require("../util/dates");
+const {
+  LedgerAccessError,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+  summarizeByMember,
+} = require("../util/ledgerAccess");
 const tripRouter = express.Router();
 
+// Savings goal a trip can be linked to, null when not found
+const findGoal = async (goalId, userId) =>
+  Goal.findOne({ _id: goalId, ...(await buildAccessFilter(userId, "editor")) });
+
 // @route   POST /api/trips
 // @desc    Create a new trip for the authenticated user
 // @access  Protected
 tripRouter.post("/", authenticateToken, async (req, res) => {
-  const { name, startDate, endDate, expenses } = req.body;
+  const {
+    name,
+    startDate,
+    endDate,
+    expenses,
+    ledgerId,
+    plannedBudget,
+    goalId,
+  } = req.body;
 
   // Ensure required fields are provided
   if (!name || !startDate) {
@@ -18,31 +37,51 @@ tripRouter.post("/", authenticateToken, async (req, res) => {
   }
 
   try {
+    // Shared trips need editor access to the ledger
+    if (ledgerId) {
+      await assertLedgerAccess(ledgerId, req.user.userId, "editor");
+    }
+    if (goalId && !(await findGoal(goalId, req.user.userId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Goal not found" });
+    }
+
     const trip = new Trip({
       userId: req.user.userId, // Link trip to the authenticated user
+      ledgerId: ledgerId || null,
       name,
       startDate,
       endDate,
       expenses,
+      plannedBudget,
+      goalId: goalId || null,
     });
 
     await trip.save();
     res.status(201).json({ success: true, trip });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
 // @route   GET /api/trips
-// @desc    Get all trips for the authenticated user
+// @desc    Get all trips for the authenticated user (or of a shared ledger with ?ledgerId=)
 // @access  Protected
 tripRouter.get("/", authenticateToken, async (req, res) => {
   try {
-    const trips = await Trip.find({ userId: req.user.userId }) // Fetch trips for the user
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
+    const trips = await Trip.find(match) // Fetch trips for the user or ledger
       .populate("expenses", "amount description date type needOrWant") // Populate expenses
       .sort({ startDate: -1 }); // Sort by most recent start date
     res.status(200).json({ success: true, trips });
   } catch (err) {
+    if (err instanceof LedgerAccessError) {
+      return res.status(403).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, error: err.message });
   }
 });
@@ -54,8 +93,8 @@ tripRouter.get("/:id", authenticateToken, async (req, res) => {
   try {
     const trip = await Trip.findOne({
       _id: req.params.id,
-      userId: req.user.userId,
-    }) // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "viewer")),
+    }) // Ensure user ownership or ledger membership
       .populate("expenses", "amount description date type needOrWant");
 
     if (!trip) {
@@ -74,12 +113,22 @@ tripRouter.get("/:id", authenticateToken, async (req, res) => {
 // @desc    Update a trip by ID for the authenticated user
 // @access  Protected
 tripRouter.put("/:id", authenticateToken, async (req, res) => {
-  const { name, startDate, endDate, expenses } = req.body;
+  const { name, startDate, endDate, expenses, plannedBudget, goalId } =
+    req.body;
 
   try {
+    if (goalId && !(await findGoal(goalId, req.user.userId))) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Goal not found" });
+    }
+
     const trip = await Trip.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.userId }, // Ensure user ownership
-      { name, startDate, endDate, expenses },
+      {
+        _id: req.params.id,
+        ...(await buildAccessFilter(req.user.userId, "editor")),
+      }, // Ensure user ownership or ledger editor access
+      { name, startDate, endDate, expenses, plannedBudget, goalId },
       { new: true, runValidators: true }
     ).populate("expenses", "amount description date type needOrWant");
 
@@ -89,6 +138,15 @@ tripRouter.put("/:id", authenticateToken, async (req, res) => {
         .json({ success: false, message: "Trip not found" });
     }
 
+    // The linked savings goal follows the planned budget (clearing the
+    // budget leaves the goal as it is)
+    if (typeof plannedBudget === "number" && trip.goalId) {
+      await Goal.updateOne(
+        { _id: trip.goalId },
+        { targetAmount: plannedBudget }
+      );
+    }
+
     res.status(200).json({ success: true, trip });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -102,8 +160,8 @@ tripRouter.delete("/:id", authenticateToken, async (req, res) => {
   try {
     const trip = await Trip.findOneAndDelete({
       _id: req.params.id,
-      userId: req.user.userId,
-    }); // Ensure user ownership
+      ...(await buildAccessFilter(req.user.userId, "editor")),
+    }); // Ensure user ownership or ledger editor access
 
     if (!trip) {
       return res
@@ -121,11 +179,11 @@ tripRouter.delete("/:id", authenticateToken, async (req, res) => {
 
 tripRouter.get("/stats/all", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const match = await resolveScopeMatch(req.user.userId, req.query.ledgerId);
 
     // Fetch trips and populate related expenses
     const trips = await Trip.aggregate([
-      { $match: { userId: new mongoose.Types.ObjectId(userId) } }, // Match trips for the user
+      { $match: match }, // Match trips for the user or ledger
       {
         $lookup: {
           from: "expenses", // Join with Expense collection
@@ -196,10 +254,22 @@ tripRouter.get("/stats/all", authenticateToken, async (req, res) => {
       return tripStats;
     });
 
+    // Who spent what on each trip of a shared ledger
+    if (match.ledgerId) {
+      for (let i = 0; i < trips.length; i++) {
+        stats[i].totalAmountByMember = await summarizeByMember(
+          trips[i].expensesDetails
+        );
+      }
+    }
+
     res.json({
       stats,
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: "Failed to fetch trip stats" });
   }
@@ -207,8 +277,7 @@ tripRouter.get("/stats/all", authenticateToken, async (req, res) => {
 
 tripRouter.get("/stats/filter", authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { startDate, endDate, frequency } = req.query;
+    const { startDate, endDate, frequency, ledgerId } = req.query;
 
     // Validate input dates and frequency
     if (!startDate || !endDate || !frequency) {
@@ -228,9 +297,15 @@ tripRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Invalid frequency" });
     }
 
+    const match = await resolveScopeMatch(req.user.userId, ledgerId);
+
+    // Plain dates are read in the user's timezone, the end date is inclusive
+    const rangeStart = parseDateBoundary(startDate, req.user.preferences);
+    const rangeEnd = parseDateBoundary(endDate, req.user.preferences, true);
+
     // Fetch trips and populate related expenses
     const trips = await Trip.aggregate([
-      { $match: { userId: new mongoose.Types.ObjectId(userId) } }, // Match trips for the user
+      { $match: match }, // Match trips for the user or ledger
       {
         $lookup: {
           from: "expenses", // Join with Expense collection
@@ -249,7 +324,8 @@ tripRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       },
     ]);
 
-    const stats = trips.map((trip) => {
+    const filteredExpensesByTrip = [];
+    const stats = trips.map((trip, index) => {
       // Initialize trip-specific stats
       const tripStats = {
         tripName: trip.name,
@@ -264,13 +340,12 @@ tripRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       // Filter expenses by date range
       const filteredExpenses = trip.expensesDetails.filter((expense) => {
         const expenseDate = new Date(expense.date);
-        return (
-          expenseDate >= new Date(startDate) && expenseDate <= new Date(endDate)
-        );
+        return expenseDate >= rangeStart && expenseDate <= rangeEnd;
       });
 
       // Skip trips with no expenses in the date range
       if (filteredExpenses.length === 0) return null;
+      filteredExpensesByTrip[index] = filteredExpenses;
 
       // Calculate trip duration
       const tripStartDate = new Date(trip.startDate);
@@ -315,21 +390,12 @@ tripRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       } else {
         const groupByFrequency = {};
 
-        const formatDateKey = (date) => {
-          const d = new Date(date);
-          if (frequency === "weekly") {
-            return `${d.getFullYear()}-W${Math.ceil(d.getDate() / 7)}`;
-          } else if (frequency === "monthly") {
-            return `${d.getFullYear()}-${d.getMonth() + 1}`;
-          } else if (frequency === "quarterly") {
-            return `${d.getFullYear()}-Q${Math.ceil((d.getMonth() + 1) / 3)}`;
-          } else if (frequency === "yearly") {
-            return `${d.getFullYear()}`;
-          }
-        };
-
         filteredExpenses.forEach((expense) => {
-          const key = formatDateKey(expense.date);
+          const key = getFrequencyKey(
+            expense.date,
+            frequency,
+            req.user.preferences
+          );
           groupByFrequency[key] = (groupByFrequency[key] || 0) + expense.amount;
         });
 
@@ -339,10 +405,23 @@ tripRouter.get("/stats/filter", authenticateToken, async (req, res) => {
       return tripStats;
     });
 
+    // Who spent what on each trip of a shared ledger
+    if (match.ledgerId) {
+      for (let i = 0; i < stats.length; i++) {
+        if (!stats[i]) continue;
+        stats[i].totalAmountByMember = await summarizeByMember(
+          filteredExpensesByTrip[i]
+        );
+      }
+    }
+
     res.json({
       stats: stats.filter((trip) => trip !== null),
     });
   } catch (error) {
+    if (error instanceof LedgerAccessError) {
+      return res.status(403).json({ error: error.message });
+    }
     console.error(error);
     res.status(500).json({ error: "Server error" });
   }
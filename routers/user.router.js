@@ -1,19 +1,325 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
-const { User } = require("../db/model");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const crypto = require("crypto");
+const {
+  User,
+  Session,
+  DataExport,
+  PERSONAL_TOKEN_SCOPES,
+} = require("../db/model");
+const { sendMail } = require("../util/mailer");
+const { generateActionEmailHTML } = require("../util/common");
+const authenticateToken = require("../util/jwt");
+const { authorizeRoles, PERSONAL_TOKEN_PREFIX } = require("../util/jwt");
+const {
+  generateRandomToken,
+  hashToken,
+  signPurposeToken,
+  verifyPurposeToken,
+} = require("../util/tokens");
+const {
+  createSession,
+  refreshSession,
+  revokeUserSessions,
+  SessionError,
+} = require("../util/session");
+const {
+  deleteAccountCascade,
+  sendDeletionConfirmation,
+} = require("../util/accountDeletion");
+const {
+  EXPORT_DIR,
+  buildExportArchive,
+  shouldExportInBackground,
+  getExportFileName,
+  runBackgroundExport,
+} = require("../util/dataExport");
+const {
+  restoreExportArchive,
+  ImportArchiveError,
+} = require("../util/dataImport");
+const { resolvePreferences, isValidTimezone } = require("../util/dates");
+const { notify } = require("../util/notifications");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../util/totp");
 require("dotenv").config();
 
 const userRouter = express.Router();
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+});
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const PASSWORD_RESET_TTL_MS = 15 * 60 * 1000; // Reset links are valid for 15 minutes
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_DELETION_GRACE_DAYS = 30;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const isPasswordTooShort = (password) =>
+  String(password).length < MIN_PASSWORD_LENGTH;
+
+// Validate a partial preferences update, returns an error message or null
+const validatePreferences = (preferences) => {
+  const { currency, locale, timezone, weekStartsOn, fiscalYearStartMonth } =
+    preferences;
+
+  if (locale !== undefined) {
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch (err) {
+      return "Invalid locale";
+    }
+  }
+  if (currency !== undefined) {
+    try {
+      new Intl.NumberFormat("en", { style: "currency", currency });
+    } catch (err) {
+      return "Invalid currency code";
+    }
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return "Invalid timezone";
+  }
+  if (
+    weekStartsOn !== undefined &&
+    !(Number.isInteger(weekStartsOn) && weekStartsOn >= 0 && weekStartsOn <= 6)
+  ) {
+    return "weekStartsOn must be a number from 0 (Sunday) to 6 (Saturday)";
+  }
+  if (
+    fiscalYearStartMonth !== undefined &&
+    !(
+      Number.isInteger(fiscalYearStartMonth) &&
+      fiscalYearStartMonth >= 1 &&
+      fiscalYearStartMonth <= 12
+    )
+  ) {
+    return "fiscalYearStartMonth must be a number from 1 to 12";
+  }
+  return null;
+};
+
+// Generate fresh recovery codes, returns the plain codes and stores only hashes
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodeHashes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Check a TOTP code for the user, rejecting codes already used
+const consumeTotpCode = (user, code) => {
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null || step <= user.twoFactor.lastUsedStep) return false;
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Check a recovery code and remove it so it cannot be used again
+const consumeRecoveryCode = (user, recoveryCode) => {
+  const codeHash = hashToken(String(recoveryCode).trim().toLowerCase());
+  const index = user.twoFactor.recoveryCodeHashes.indexOf(codeHash);
+  if (index === -1) return false;
+  user.twoFactor.recoveryCodeHashes.splice(index, 1);
+  return true;
+};
+
+// Email a one-time verification link to the user
+const sendVerificationEmail = async (user) => {
+  user.emailVerificationNonce = crypto.randomBytes(16).toString("hex");
+  await user.save();
+
+  const token = signPurposeToken(
+    { userId: user._id, nonce: user.emailVerificationNonce },
+    "email-verification",
+    process.env.EMAIL_VERIFICATION_EXPIRATION || "24h"
+  );
+  const verifyUrl = `${process.env.APP_BASE_URL}/api/users/verify-email?token=${token}`;
+
+  await sendMail({
+    from: process.env.SENDER_EMAIL,
+    to: user.email,
+    subject: "Verify your email address",
+    html: generateActionEmailHTML({
+      title: "Welcome!",
+      message:
+        "Please confirm your email address to finish setting up your account.",
+      actionUrl: verifyUrl,
+      actionLabel: "Verify email",
+    }),
+  });
+};
 
 // Fetch all users (Admin-only functionality)
-userRouter.get("/", async (req, res) => {
+userRouter.get(
+  "/",
+  authenticateToken,
+  authorizeRoles("admin"),
+  async (req, res) => {
+    try {
+      const users = await User.find({}, "email role"); // Fetch only email and role to keep it minimal
+      res.status(200).json(users);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error fetching users", error: error.message });
+    }
+  }
+);
+
+// @route   PUT /api/users/:id/role
+// @desc    Change the role of a user (e.g. promote to admin or service account)
+// @access  Admin
+userRouter.put(
+  "/:id/role",
+  authenticateToken,
+  authorizeRoles("admin"),
+  async (req, res) => {
+    const { role } = req.body;
+
+    if (!User.schema.path("role").enumValues.includes(role)) {
+      return res.status(400).json({ message: "Invalid role" });
+    }
+
+    try {
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { role },
+        { new: true, runValidators: true, fields: "email role" }
+      );
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.status(200).json({ message: "Role updated", user });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error updating role", error: error.message });
+    }
+  }
+);
+
+// @route   POST /api/users/register
+// @desc    Create a new account and email a verification link
+// @access  Public
+userRouter.post("/register", async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ message: "Email and password are required" });
+  }
+  if (!EMAIL_REGEX.test(String(email).trim())) {
+    return res.status(400).json({ message: "Invalid email address" });
+  }
+  if (isPasswordTooShort(password)) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
   try {
-    const users = await User.find({}, "email"); // Fetch only email to keep it minimal
-    res.status(200).json(users);
+    const normalizedEmail = normalizeEmail(email);
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({ message: "Email is already registered" });
+    }
+
+    const user = new User({
+      email: normalizedEmail,
+      hashedPassword: await User.hashPassword(password),
+      isVerified: false,
+    });
+    await sendVerificationEmail(user);
+
+    res.status(201).json({
+      message: "Registration successful, please verify your email",
+      id: user._id,
+    });
   } catch (error) {
     res
       .status(500)
-      .json({ message: "Error fetching users", error: error.message });
+      .json({ message: "Error during registration", error: error.message });
+  }
+});
+
+// @route   GET /api/users/verify-email
+// @desc    Verify an email address using the link sent on registration
+// @access  Public
+userRouter.get("/verify-email", async (req, res) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(400).json({ message: "Verification token is required" });
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(token, "email-verification");
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    // Clearing the nonce makes the link one-time
+    const user = await User.findOneAndUpdate(
+      { _id: decoded.userId, emailVerificationNonce: decoded.nonce },
+      { isVerified: true, emailVerificationNonce: null },
+      { new: true }
+    );
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired verification link" });
+    }
+
+    res.status(200).json({ message: "Email verified successfully" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error verifying email", error: error.message });
+  }
+});
+
+// @route   POST /api/users/resend-verification
+// @desc    Send a fresh verification link to an unverified account
+// @access  Public
+userRouter.post("/resend-verification", async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const user = await User.findOne({ email: normalizeEmail(email) });
+    // Same response either way so the endpoint does not reveal which emails exist
+    if (user && !user.isVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      message: "If the account needs verification, a new link has been sent",
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error sending verification email",
+      error: error.message,
+    });
   }
 });
 
@@ -26,7 +332,7 @@ userRouter.post("/login", async (req, res) => {
   }
 
   try {
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email: normalizeEmail(email) });
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -36,21 +342,865 @@ userRouter.post("/login", async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET,
+    if (!user.isVerified) {
+      return res
+        .status(403)
+        .json({ message: "Please verify your email before logging in" });
+    }
+
+    // With 2FA the password only unlocks a short-lived challenge
+    if (user.twoFactor?.enabled) {
+      const challengeToken = signPurposeToken(
+        { userId: user._id },
+        "2fa-challenge",
+        "5m"
+      );
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    // Generate access and refresh tokens for this device
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      id: user._id,
+      deletionScheduledFor: user.deletionScheduledFor,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error during login", error: error.message });
+  }
+});
+
+// @route   POST /api/users/login/2fa
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public
+userRouter.post("/login/2fa", async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      message: "Challenge token and a code or recovery code are required",
+    });
+  }
+
+  try {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, "2fa-challenge");
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ message: "Login challenge expired, please log in again" });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: "Invalid login challenge" });
+    }
+
+    const isCodeValid = code
+      ? consumeTotpCode(user, code)
+      : consumeRecoveryCode(user, recoveryCode);
+    if (!isCodeValid) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+    res.status(200).json({
+      message: "Login successful",
+      token,
+      refreshToken,
+      id: user._id,
+      deletionScheduledFor: user.deletionScheduledFor,
+      recoveryCodesLeft: user.twoFactor.recoveryCodeHashes.length,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error during login", error: error.message });
+  }
+});
+
+// @route   POST /api/users/2fa/setup
+// @desc    Start 2FA enrollment, returns the secret and otpauth URI for the QR code
+// @access  Protected
+userRouter.post("/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      message: "Scan the code with your authenticator app, then verify it",
+      secret,
+      otpauthUri: buildOtpauthUri(
+        secret,
+        user.email,
+        process.env.TOTP_ISSUER || "One9 Money Control"
+      ),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error setting up 2FA", error: error.message });
+  }
+});
+
+// @route   POST /api/users/2fa/verify
+// @desc    Confirm enrollment with a first code, enables 2FA and returns recovery codes
+// @access  Protected
+userRouter.post("/2fa/verify", authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: "Verification code is required" });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json({
+      message:
+        "Two-factor authentication enabled, store the recovery codes somewhere safe",
+      recoveryCodes,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error verifying 2FA", error: error.message });
+  }
+});
+
+// @route   POST /api/users/2fa/disable
+// @desc    Turn off 2FA, requires a fresh code from the authenticator app
+// @access  Protected
+userRouter.post("/2fa/disable", authenticateToken, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: "Verification code is required" });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!consumeTotpCode(user, code)) {
+      return res.status(401).json({ message: "Invalid verification code" });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodeHashes: [],
+      lastUsedStep: 0,
+      enabledAt: null,
+    };
+    await user.save();
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error disabling 2FA", error: error.message });
+  }
+});
+
+// @route   POST /api/users/forgot-password
+// @desc    Email a short-lived password reset link
+// @access  Public
+userRouter.post("/forgot-password", async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const user = await User.findOne({ email: normalizeEmail(email) });
+    // Same response either way so the endpoint does not reveal which emails exist
+    if (user) {
+      const resetToken = generateRandomToken();
+      user.passwordResetTokenHash = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+      await user.save();
+
+      await sendMail({
+        from: process.env.SENDER_EMAIL,
+        to: user.email,
+        subject: "Reset your password",
+        html: generateActionEmailHTML({
+          title: "Password reset",
+          message:
+            "We received a request to reset your password. The link below is valid for 15 minutes. If you did not ask for this, you can ignore this email.",
+          actionUrl: `${process.env.APP_BASE_URL}/reset-password?token=${resetToken}`,
+          actionLabel: "Reset password",
+        }),
+      });
+    }
+
+    res.status(200).json({
+      message: "If the email is registered, a reset link has been sent",
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error requesting password reset",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/users/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+userRouter.post("/reset-password", async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res
+      .status(400)
+      .json({ message: "Token and new password are required" });
+  }
+  if (isPasswordTooShort(password)) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Invalid or expired reset token" });
+    }
+
+    await user.setPassword(password);
+    // Following the emailed link proves ownership of the address
+    user.isVerified = true;
+    await user.save();
+    await revokeUserSessions(user._id, "password-change");
+
+    res.status(200).json({ message: "Password reset successful" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error resetting password", error: error.message });
+  }
+});
+
+// @route   POST /api/users/change-password
+// @desc    Change the password of the logged in user
+// @access  Protected
+userRouter.post("/change-password", authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res
+      .status(400)
+      .json({ message: "Current and new password are required" });
+  }
+  if (isPasswordTooShort(newPassword)) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+    await revokeUserSessions(user._id, "password-change");
+
+    // Older tokens are now rejected, hand back a fresh pair for this client
+    const { token, refreshToken } = await createSession(user, req);
+    res
+      .status(200)
+      .json({ message: "Password changed successfully", token, refreshToken });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error changing password", error: error.message });
+  }
+});
+
+// @route   POST /api/users/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+userRouter.post("/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ message: "Refresh token is required" });
+  }
+
+  try {
+    const tokens = await refreshSession(refreshToken);
+    res.status(200).json({ message: "Token refreshed", ...tokens });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Error refreshing token", error: error.message });
+  }
+});
+
+// @route   POST /api/users/logout
+// @desc    End the current device session
+// @access  Protected
+userRouter.post("/logout", authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await Session.updateOne(
+        { _id: req.user.sid, userId: req.user.userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" }
+      );
+    }
+    res.status(200).json({ message: "Logged out" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error during logout", error: error.message });
+  }
+});
+
+// @route   POST /api/users/logout-all
+// @desc    End every session of the user on all devices
+// @access  Protected
+userRouter.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.userId, "logout-all");
+    res.status(200).json({
+      message: "Logged out from all devices",
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error during logout", error: error.message });
+  }
+});
+
+// @route   GET /api/users/sessions
+// @desc    List the active sessions of the user
+// @access  Protected
+userRouter.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find(
       {
-        expiresIn: process.env.JWT_EXPIRATION,
-      }
+        userId: req.user.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      "deviceName userAgent ip lastUsedAt expiresAt createdAt"
+    ).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: String(session._id) === String(req.user.sid),
+      })),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching sessions", error: error.message });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Revoke one session of the user (e.g. a lost device)
+// @access  Protected
+userRouter.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout" }
     );
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
 
-    res.status(200).json({ message: "Login successful", token, id: user._id });
+    res.status(200).json({ message: "Session revoked" });
   } catch (error) {
     res
       .status(500)
-      .json({ message: "Error during login", error: error.message });
+      .json({ message: "Error revoking session", error: error.message });
   }
 });
 
+// Public view of a personal access token (never includes the hash)
+const toTokenResponse = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  tokenPrefix: apiToken.tokenPrefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  createdAt: apiToken.createdAt,
+});
+
+// @route   POST /api/users/tokens
+// @desc    Create a named personal access token, the raw token is only returned once
+// @access  Protected
+userRouter.post("/tokens", authenticateToken, async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+    return res
+      .status(400)
+      .json({ message: "Name and at least one scope are required" });
+  }
+  const invalidScopes = scopes.filter(
+    (scope) => !PERSONAL_TOKEN_SCOPES.includes(scope)
+  );
+  if (invalidScopes.length) {
+    return res.status(400).json({
+      message: `Invalid scopes: ${invalidScopes.join(", ")}`,
+      allowedScopes: PERSONAL_TOKEN_SCOPES,
+    });
+  }
+  if (
+    expiresInDays !== undefined &&
+    expiresInDays !== null &&
+    !(Number(expiresInDays) > 0)
+  ) {
+    return res
+      .status(400)
+      .json({ message: "expiresInDays must be a positive number" });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const token = `${PERSONAL_TOKEN_PREFIX}${generateRandomToken()}`;
+    user.apiTokens.push({
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, PERSONAL_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+        : null,
+    });
+    await user.save();
+
+    res.status(201).json({
+      message: "Token created, copy it now as it will not be shown again",
+      token,
+      apiToken: toTokenResponse(user.apiTokens[user.apiTokens.length - 1]),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error creating token", error: error.message });
+  }
+});
+
+// @route   GET /api/users/tokens
+// @desc    List the personal access tokens of the user
+// @access  Protected
+userRouter.get("/tokens", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, "apiTokens");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({ tokens: user.apiTokens.map(toTokenResponse) });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching tokens", error: error.message });
+  }
+});
+
+// @route   DELETE /api/users/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Protected
+userRouter.delete("/tokens/:id", authenticateToken, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user.userId, "apiTokens._id": req.params.id },
+      { $pull: { apiTokens: { _id: req.params.id } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: "Token not found" });
+    }
+
+    res.status(200).json({ message: "Token revoked" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error revoking token", error: error.message });
+  }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Delete the account and all of its data, optionally after a grace period
+// @access  Protected
+userRouter.delete("/me", authenticateToken, async (req, res) => {
+  const { password, graceDays = 0 } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ message: "Password is required" });
+  }
+  const days = Number(graceDays);
+  if (!(days >= 0 && days <= MAX_DELETION_GRACE_DAYS)) {
+    return res.status(400).json({
+      message: `graceDays must be between 0 and ${MAX_DELETION_GRACE_DAYS}`,
+    });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    if (days > 0) {
+      user.deletionRequestedAt = new Date();
+      user.deletionScheduledFor = new Date(
+        Date.now() + days * 24 * 60 * 60 * 1000
+      );
+      await user.save();
+
+      await sendMail({
+        from: process.env.SENDER_EMAIL,
+        to: user.email,
+        subject: "Your account is scheduled for deletion",
+        html: generateActionEmailHTML({
+          title: "Account deletion scheduled",
+          message: `Your account and all of its data will be permanently deleted on ${user.deletionScheduledFor.toUTCString()}. Log in and cancel the deletion before then if you change your mind.`,
+        }),
+      });
+
+      return res.status(202).json({
+        message: "Account scheduled for deletion",
+        deletionScheduledFor: user.deletionScheduledFor,
+      });
+    }
+
+    const summary = await deleteAccountCascade(user._id);
+    await sendDeletionConfirmation(user.email);
+
+    res.status(200).json({ message: "Account deleted", deleted: summary });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error deleting account", error: error.message });
+  }
+});
+
+// @route   POST /api/users/me/cancel-deletion
+// @desc    Undo a scheduled account deletion during the grace period
+// @access  Protected
+userRouter.post("/me/cancel-deletion", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user.userId, deletionScheduledFor: { $ne: null } },
+      { deletionRequestedAt: null, deletionScheduledFor: null },
+      { new: true }
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json({ message: "No account deletion is scheduled" });
+    }
+
+    res.status(200).json({ message: "Account deletion cancelled" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error cancelling deletion", error: error.message });
+  }
+});
+
+// @route   GET /api/users/me/preferences
+// @desc    Get the currency, locale, timezone and calendar preferences
+// @access  Protected
+userRouter.get("/me/preferences", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId, "preferences");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({ preferences: resolvePreferences(user.preferences) });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching preferences", error: error.message });
+  }
+});
+
+// @route   PUT /api/users/me/preferences
+// @desc    Update some or all of the preferences
+// @access  Protected
+userRouter.put("/me/preferences", authenticateToken, async (req, res) => {
+  const allowedFields = [
+    "currency",
+    "locale",
+    "timezone",
+    "weekStartsOn",
+    "fiscalYearStartMonth",
+  ];
+  const updates = {};
+  allowedFields.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+  if (updates.currency)
+    updates.currency = String(updates.currency).toUpperCase();
+
+  const validationError = validatePreferences(updates);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      Object.fromEntries(
+        Object.entries(updates).map(([field, value]) => [
+          `preferences.${field}`,
+          value,
+        ])
+      ),
+      { new: true, runValidators: true, fields: "preferences" }
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({
+      message: "Preferences updated",
+      preferences: resolvePreferences(user.preferences),
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error updating preferences", error: error.message });
+  }
+});
+
+// @route   GET /api/users/me/export
+// @desc    Download a zip of all the user's data (JSON per model + CSVs).
+//          Large accounts are exported in the background and the link is emailed.
+// @access  Protected
+userRouter.get("/me/export", authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const inBackground =
+      req.query.background === "true" ||
+      (await shouldExportInBackground(userId));
+
+    if (inBackground) {
+      const dataExport = new DataExport({ userId });
+      await dataExport.save();
+      // Not awaited, the email carries the link
+      runBackgroundExport(dataExport, req.user.email).catch((error) =>
+        console.error("Error running background export:", error)
+      );
+
+      return res.status(202).json({
+        message: "Export started, you will receive an email when it is ready",
+        exportId: dataExport._id,
+      });
+    }
+
+    const archive = await buildExportArchive(userId);
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${getExportFileName()}"`,
+    });
+    res.status(200).send(archive);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error exporting data", error: error.message });
+  }
+});
+
+// @route   GET /api/users/me/export/download
+// @desc    Download a background export using the emailed token
+// @access  Public (the token is the credential)
+userRouter.get("/me/export/download", async (req, res) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(400).json({ message: "Download token is required" });
+  }
+
+  try {
+    const dataExport = await DataExport.findOne({
+      downloadTokenHash: hashToken(token),
+      status: "ready",
+      expiresAt: { $gt: new Date() },
+    });
+    const filePath =
+      dataExport && path.join(EXPORT_DIR, dataExport.storedFileName);
+    if (!dataExport || !fs.existsSync(filePath)) {
+      return res
+        .status(404)
+        .json({ message: "Export not found or link expired" });
+    }
+
+    res.download(filePath, getExportFileName());
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error downloading export", error: error.message });
+  }
+});
+
+// @route   GET /api/users/me/export/:id
+// @desc    Check the status of a background export
+// @access  Protected
+userRouter.get("/me/export/:id", authenticateToken, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne(
+      { _id: req.params.id, userId: req.user.userId },
+      "status completedAt expiresAt error createdAt"
+    );
+    if (!dataExport) {
+      return res.status(404).json({ message: "Export not found" });
+    }
+
+    res.status(200).json({ export: dataExport });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error fetching export", error: error.message });
+  }
+});
+
+// @route   POST /api/users/me/import
+// @desc    Restore an export archive into this account ("merge" or "replace" mode)
+// @access  Protected
+userRouter.post(
+  "/me/import",
+  authenticateToken,
+  archiveUpload.single("file"),
+  async (req, res) => {
+    const { mode = "merge", password } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+    if (!["merge", "replace"].includes(mode)) {
+      return res
+        .status(400)
+        .json({ message: "Mode must be either merge or replace" });
+    }
+
+    try {
+      // Replacing wipes the account data first, so it needs the password
+      if (mode === "replace") {
+        const user = await User.findById(req.user.userId);
+        if (!password || !(await user.comparePassword(password))) {
+          return res
+            .status(401)
+            .json({ message: "Password is required to replace account data" });
+        }
+      }
+
+      const summary = await restoreExportArchive(
+        req.user.userId,
+        req.file.buffer,
+        mode
+      );
+      res.status(200).json({ message: "Import completed", mode, summary });
+
+      const totals = Object.values(summary).reduce(
+        (acc, { created, skipped }) => ({
+          created: acc.created + created,
+          skipped: acc.skipped + skipped,
+        }),
+        { created: 0, skipped: 0 }
+      );
+      notify(req.user.userId, {
+        type: "import-completed",
+        title: "Account import completed",
+        message: `${totals.created} records were restored from the archive (${mode} mode), ${totals.skipped} were skipped.`,
+        payload: { mode, summary },
+      }).catch((err) => console.error("Error sending notification:", err));
+    } catch (error) {
+      if (error instanceof ImportArchiveError) {
+        return res.status(400).json({ message: error.message });
+      }
+      res
+        .status(500)
+        .json({ message: "Error importing data", error: error.message });
+    }
+  }
+);
+
 module.exports = userRouter;
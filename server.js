@@ -11,6 +11,24 @@ require("dotenv").config();
 const path = require("path");
 const requestLogger = require("./util/requestLogger");
 const importConfigRouter = require("./routers/importConfig.router");
+const ledgerRouter = require("./routers/ledger.router");
+const budgetRouter = require("./routers/budget.router");
+const notificationRouter = require("./routers/notification.router");
+const recurringRouter = require("./routers/recurring.router");
+const subscriptionRouter = require("./routers/subscription.router");
+const billRouter = require("./routers/bill.router");
+const accountRouter = require("./routers/account.router");
+const reconciliationRouter = require("./routers/reconciliation.router");
+const holdingRouter = require("./routers/holding.router");
+const goalRouter = require("./routers/goal.router");
+const loanRouter = require("./routers/loan.router");
+const iouRouter = require("./routers/iou.router");
+const { scheduleJob } = require("./util/scheduler");
+const { purgeScheduledAccountDeletions } = require("./util/accountDeletion");
+const { cleanupExpiredExports } = require("./util/dataExport");
+const { runDueRecurring } = require("./util/recurring");
+const { sendBillReminders } = require("./util/bills");
+const { sendIouReminders } = require("./util/iou");
 
 const app = express();
 
@@ -31,12 +49,32 @@ app.use("/api/expense", expenseRouter);
 app.use("/api/trip", tripRouter);
 app.use("/api/report", reportRouter);
 app.use("/api/import-config", importConfigRouter);
+app.use("/api/ledger", ledgerRouter);
+app.use("/api/budget", budgetRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/recurring", recurringRouter);
+app.use("/api/subscriptions", subscriptionRouter);
+app.use("/api/bills", billRouter);
+app.use("/api/accounts", accountRouter);
+app.use("/api/reconciliations", reconciliationRouter);
+app.use("/api/holdings", holdingRouter);
+app.use("/api/goals", goalRouter);
+app.use("/api/loans", loanRouter);
+app.use("/api/iou", iouRouter);
 
 // Fallback for all other routes to serve the index.html
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "dist", "index.html"));
 });
 
+// Background jobs
+scheduleJob("account-deletion", 60 * 60 * 1000, purgeScheduledAccountDeletions);
+scheduleJob("export-cleanup", 60 * 60 * 1000, cleanupExpiredExports);
+// Runs on startup too, which catches up on occurrences missed while down
+scheduleJob("recurring", 15 * 60 * 1000, () => runDueRecurring());
+scheduleJob("bill-reminders", 60 * 60 * 1000, () => sendBillReminders());
+scheduleJob("iou-reminders", 60 * 60 * 1000, () => sendIouReminders());
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
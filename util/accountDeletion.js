@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const models = require("../db/model");
+const { sendMail } = require("./mailer");
+const { generateActionEmailHTML } = require("./common");
+
+const { User, Ledger } = models;
+
+// Every model that stores user-owned documents (has a userId path)
+const getUserOwnedModels = () =>
+  Object.values(models).filter(
+    (model) => model?.modelName && model !== User && model.schema.path("userId")
+  );
+
+// Delete a user and everything they own in a single transaction.
+// Returns the number of deleted documents per model.
+const deleteAccountCascade = async (userId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    // Documents other members added to the user's ledgers go back to them
+    const ownedLedgers = await Ledger.find({ userId }, "_id").session(session);
+    const ownedLedgerIds = ownedLedgers.map((ledger) => ledger._id);
+    for (const model of getUserOwnedModels()) {
+      if (!model.schema.path("ledgerId")) continue;
+      await model.updateMany(
+        { ledgerId: { $in: ownedLedgerIds } },
+        { ledgerId: null },
+        { session }
+      );
+    }
+    await Ledger.updateMany(
+      { "members.userId": userId },
+      { $pull: { members: { userId } } },
+      { session }
+    );
+
+    const summary = {};
+    for (const model of getUserOwnedModels()) {
+      const result = await model.deleteMany({ userId }, { session });
+      summary[model.modelName] = result.deletedCount;
+    }
+
+    const result = await User.deleteOne({ _id: userId }, { session });
+    summary[User.modelName] = result.deletedCount;
+
+    await session.commitTransaction();
+    return summary;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+const sendDeletionConfirmation = async (email) => {
+  await sendMail({
+    from: process.env.SENDER_EMAIL,
+    to: email,
+    subject: "Your account has been deleted",
+    html: generateActionEmailHTML({
+      title: "Account deleted",
+      message:
+        "Your account and all of its categories, incomes, expenses, trips, reports and import configurations have been permanently deleted.",
+    }),
+  });
+};
+
+// Delete the accounts whose grace period has ended
+const purgeScheduledAccountDeletions = async () => {
+  const dueUsers = await User.find(
+    { deletionScheduledFor: { $ne: null, $lte: new Date() } },
+    "email"
+  );
+
+  for (const user of dueUsers) {
+    const summary = await deleteAccountCascade(user._id);
+    console.log(
+      `[Account deletion] ${user.email} deleted: ${JSON.stringify(summary)}`
+    );
+    await sendDeletionConfirmation(user.email);
+  }
+};
+
+module.exports = {
+  deleteAccountCascade,
+  sendDeletionConfirmation,
+  purgeScheduledAccountDeletions,
+};
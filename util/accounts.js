@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const { Account, Income, Expense, Transfer, IouEntry } = require("../db/model");
+const { buildAccessFilter } = require("./ledgerAccess");
+
+// Raised when an account does not exist or the user cannot use it (maps to 404)
+class AccountNotFoundError extends Error {}
+
+// Load an account the user has at least `minRole` access to
+const assertAccountAccess = async (accountId, userId, minRole = "editor") => {
+  const account = mongoose.isValidObjectId(accountId)
+    ? await Account.findOne({
+        _id: accountId,
+        ...(await buildAccessFilter(userId, minRole)),
+      })
+    : null;
+  if (!account) {
+    throw new AccountNotFoundError("Account not found");
+  }
+  return account;
+};
+
+const sumAmount = async (model, match) => {
+  const [result] = await model.aggregate([
+    { $match: match },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  return result?.amount || 0;
+};
+
+// Date filter of the entries that count for an account up to `asOf`
+const getDateFilter = (account, asOf) => ({
+  $lte: asOf,
+  ...(account.openingDate ? { $gte: account.openingDate } : {}),
+});
+
+// IOU entries that bring money into an account, the others take it out
+const IOU_INFLOW_KINDS = ["borrowed", "repayment-received"];
+
+// Balance of an account at the end of `asOf`: opening balance plus incomes,
+// incoming transfers and IOU money received, minus expenses, outgoing
+// transfers and IOU money paid
+const getAccountBalance = async (account, asOf) => {
+  if (account.openingDate && asOf < account.openingDate) return null; // Not opened yet
+
+  const date = getDateFilter(account, asOf);
+  const [incomes, expenses, transfersIn, transfersOut, iouIn, iouOut] =
+    await Promise.all([
+      sumAmount(Income, { accountId: account._id, date }),
+      sumAmount(Expense, { accountId: account._id, date }),
+      sumAmount(Transfer, { toAccountId: account._id, date }),
+      sumAmount(Transfer, { fromAccountId: account._id, date }),
+      sumAmount(IouEntry, {
+        accountId: account._id,
+        kind: { $in: IOU_INFLOW_KINDS },
+        date,
+      }),
+      sumAmount(IouEntry, {
+        accountId: account._id,
+        kind: { $nin: IOU_INFLOW_KINDS },
+        date,
+      }),
+    ]);
+
+  return {
+    accountId: account._id,
+    name: account.name,
+    type: account.type,
+    currency: account.currency,
+    balance:
+      account.openingBalance +
+      incomes -
+      expenses +
+      transfersIn -
+      transfersOut +
+      iouIn -
+      iouOut,
+    incomes,
+    expenses,
+    transfersIn,
+    transfersOut,
+    iouIn,
+    iouOut,
+  };
+};
+
+// Statement matching state of an income, expense, transfer or IOU entry
+const getClearing = (doc) => ({
+  cleared: Boolean(doc.clearedAt),
+  reconciliationId: doc.reconciliationId || null,
+  statementLineId: doc.statementLineId || null,
+});
+
+// Every entry of an account between start and end, oldest first, with the
+// running balance after each one
+const getAccountStatement = async (account, start, end) => {
+  const openingBalance = await getAccountBalance(
+    account,
+    new Date(start.getTime() - 1)
+  );
+  const from =
+    account.openingDate && account.openingDate > start
+      ? account.openingDate
+      : start;
+  const date = { $gte: from, $lte: end };
+
+  const [incomes, expenses, transfers, iouEntries] = await Promise.all([
+    Income.find({ accountId: account._id, date }).lean(),
+    Expense.find({ accountId: account._id, date }).lean(),
+    Transfer.find({
+      $or: [{ fromAccountId: account._id }, { toAccountId: account._id }],
+      date,
+    }).lean(),
+    IouEntry.find({ accountId: account._id, date }).lean(),
+  ]);
+
+  const entries = [
+    ...incomes.map((income) => ({
+      kind: "income",
+      id: income._id,
+      date: income.date,
+      description: income.source,
+      amount: income.amount,
+      ...getClearing(income),
+    })),
+    ...expenses.map((expense) => ({
+      kind: "expense",
+      id: expense._id,
+      date: expense.date,
+      description: expense.description,
+      amount: -expense.amount,
+      ...getClearing(expense),
+    })),
+    ...transfers.map((transfer) => {
+      const outgoing = String(transfer.fromAccountId) === String(account._id);
+      return {
+        kind: outgoing ? "transfer-out" : "transfer-in",
+        id: transfer._id,
+        date: transfer.date,
+        description: transfer.description,
+        amount: outgoing ? -transfer.amount : transfer.amount,
+        ...getClearing(
+          (outgoing ? transfer.fromClearing : transfer.toClearing) || {}
+        ),
+      };
+    }),
+    ...iouEntries.map((iouEntry) => {
+      const inflow = IOU_INFLOW_KINDS.includes(iouEntry.kind);
+      return {
+        kind: inflow ? "iou-in" : "iou-out",
+        id: iouEntry._id,
+        date: iouEntry.date,
+        description: iouEntry.description,
+        amount: inflow ? iouEntry.amount : -iouEntry.amount,
+        ...getClearing(iouEntry),
+      };
+    }),
+  ].sort((a, b) => a.date - b.date);
+
+  let balance = openingBalance
+    ? openingBalance.balance
+    : account.openingBalance;
+  const startingBalance = balance;
+  entries.forEach((entry) => {
+    balance += entry.amount;
+    entry.runningBalance = balance;
+  });
+
+  return { startingBalance, closingBalance: balance, entries };
+};
+
+module.exports = {
+  IOU_INFLOW_KINDS,
+  AccountNotFoundError,
+  assertAccountAccess,
+  getAccountBalance,
+  getAccountStatement,
+};
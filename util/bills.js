@@ -0,0 +1,185 @@
+const { Bill, Expense, User } = require("../db/model");
+const { getStartOfDay, resolvePreferences } = require("./dates");
+const { formatAmount } = require("./common");
+const { notify } = require("./notifications");
+const { getOccurrenceDate, getFirstOccurrenceIndex } = require("./recurring");
+const { normalizeMerchant } = require("./subscriptionDetector");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = 5; // Payments up to this many days after the due date still count
+const FIRST_WINDOW_DAYS = 15; // How early the first occurrence may be paid
+const AMOUNT_TOLERANCE = 0.1; // Category-only matches must be within 10% of the expected amount
+const MAX_OCCURRENCES = 1000; // Per bill and calendar request (years of daily bills)
+
+// Due dates of a bill in [start, end] with their occurrence index
+const getBillOccurrences = (bill, start, end, timezone) => {
+  const occurrences = [];
+  let index = getFirstOccurrenceIndex(bill, start, timezone);
+  while (occurrences.length < MAX_OCCURRENCES) {
+    const dueDate = getOccurrenceDate(bill, index, timezone);
+    if (!(dueDate <= end) || (bill.endDate && dueDate > bill.endDate)) break;
+    occurrences.push({ index, dueDate });
+    index++;
+  }
+  return occurrences;
+};
+
+// Window of payments counted for an occurrence: after the previous due date
+// (plus grace) up to this due date plus grace, so windows never overlap
+const getPaymentWindow = (bill, { index, dueDate }, timezone) => {
+  const from =
+    index > 0
+      ? new Date(
+          getOccurrenceDate(bill, index - 1, timezone).getTime() +
+            GRACE_DAYS * DAY_MS
+        )
+      : new Date(dueDate.getTime() - FIRST_WINDOW_DAYS * DAY_MS);
+  return { from, to: new Date(dueDate.getTime() + GRACE_DAYS * DAY_MS) };
+};
+
+// An expense pays a bill when it names the payee, or else when it is in the
+// bill's category for about the expected amount
+const isPaymentOf = (bill, expense) => {
+  const payee = normalizeMerchant(bill.payee);
+  if (payee && normalizeMerchant(expense.description).includes(payee)) {
+    return true;
+  }
+  return Boolean(
+    bill.categoryId &&
+      String(bill.categoryId) === String(expense.categoryId) &&
+      Math.abs(expense.amount - bill.expectedAmount) <=
+        bill.expectedAmount * AMOUNT_TOLERANCE
+  );
+};
+
+// Calendar entries of the bills due in [start, end] with their paid status.
+// Each expense pays at most one occurrence, the closest amount wins.
+const getBillCalendar = async (
+  bills,
+  start,
+  end,
+  preferences,
+  now = new Date()
+) => {
+  const { timezone } = resolvePreferences(preferences);
+  const entries = [];
+
+  for (const bill of bills) {
+    const occurrences = getBillOccurrences(bill, start, end, timezone);
+    if (!occurrences.length) continue;
+
+    const windows = occurrences.map((occurrence) =>
+      getPaymentWindow(bill, occurrence, timezone)
+    );
+    const expenses = await Expense.find(
+      {
+        ...(bill.ledgerId
+          ? { ledgerId: bill.ledgerId }
+          : { userId: bill.userId }),
+        date: { $gt: windows[0].from, $lte: windows[windows.length - 1].to },
+      },
+      "description amount date categoryId"
+    ).lean();
+    const payments = expenses.filter((expense) => isPaymentOf(bill, expense));
+    const used = new Set();
+
+    occurrences.forEach((occurrence, i) => {
+      const { from, to } = windows[i];
+      const payment = payments
+        .filter(
+          (expense) =>
+            !used.has(String(expense._id)) &&
+            expense.date > from &&
+            expense.date <= to
+        )
+        .sort(
+          (a, b) =>
+            Math.abs(a.amount - bill.expectedAmount) -
+            Math.abs(b.amount - bill.expectedAmount)
+        )[0];
+      if (payment) used.add(String(payment._id));
+
+      let status = "upcoming";
+      if (payment) status = "paid";
+      else if (now > to) status = "overdue";
+      else if (now >= occurrence.dueDate) status = "due";
+
+      entries.push({
+        billId: bill._id,
+        payee: bill.payee,
+        categoryId: bill.categoryId,
+        expectedAmount: bill.expectedAmount,
+        dueDate: occurrence.dueDate,
+        paid: Boolean(payment),
+        status,
+        payment: payment
+          ? {
+              expenseId: payment._id,
+              amount: payment.amount,
+              date: payment.date,
+            }
+          : null,
+      });
+    });
+  }
+
+  return entries.sort((a, b) => a.dueDate - b.dueDate);
+};
+
+// Scheduler job: remind bill owners of unpaid bills due within their
+// reminderDaysBefore window (once per bill and due date)
+const sendBillReminders = async (now = new Date()) => {
+  const bills = await Bill.find({ active: true });
+
+  const preferencesByUser = new Map();
+  for (const bill of bills) {
+    const userKey = String(bill.userId);
+    if (!preferencesByUser.has(userKey)) {
+      const user = await User.findById(bill.userId, "preferences");
+      preferencesByUser.set(userKey, resolvePreferences(user?.preferences));
+    }
+    const preferences = preferencesByUser.get(userKey);
+
+    try {
+      const horizon = new Date(
+        now.getTime() + bill.reminderDaysBefore * DAY_MS
+      );
+      // From local midnight so bills due today are still reminded
+      const entries = await getBillCalendar(
+        [bill],
+        getStartOfDay(now, preferences),
+        horizon,
+        preferences,
+        now
+      );
+
+      for (const entry of entries.filter((e) => !e.paid)) {
+        await notify(bill.userId, {
+          type: "bill-reminder",
+          title: `Bill due: ${bill.payee}`,
+          message: `${bill.payee} (${formatAmount(
+            bill.expectedAmount,
+            preferences
+          )}) is due on ${entry.dueDate.toLocaleDateString(preferences.locale, {
+            timeZone: preferences.timezone,
+          })}.`,
+          payload: {
+            billId: bill._id,
+            dueDate: entry.dueDate,
+            expectedAmount: bill.expectedAmount,
+          },
+          dedupeKey: `bill-reminder:${bill._id}:${entry.dueDate.toISOString()}`,
+        });
+      }
+    } catch (err) {
+      // One broken bill must not stop the others
+      console.error(`[Bills] reminder for ${bill._id} failed:`, err);
+    }
+  }
+};
+
+module.exports = {
+  getBillOccurrences,
+  getBillCalendar,
+  sendBillReminders,
+};
@@ -0,0 +1,163 @@
+const { Budget, Category, Expense } = require("../db/model");
+const { getPeriodStart, getNextPeriodStart } = require("./dates");
+const { getDescendantIds } = require("./categoryTree");
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sumBetween = (expenses, from, to) =>
+  expenses
+    .filter((expense) => expense.date >= from && expense.date < to)
+    .reduce((total, expense) => total + expense.amount, 0);
+
+// Budget periods of one category overlapping [start, end]. `history` is the
+// category's budgets sorted by effectiveFrom, each one applies until the next
+// takes effect. Periods cut by a budget change or by the requested range are
+// prorated by time, and rollover budgets add what was left of the previous
+// period (counted from when that budget took effect).
+const buildBudgetPeriods = (history, expenses, start, end, preferences) => {
+  const rangeEnd = new Date(end.getTime() + 1); // `end` is inclusive
+  const periods = [];
+
+  history.forEach((budget, index) => {
+    const segmentStart = new Date(budget.effectiveFrom);
+    const segmentEnd = history[index + 1]
+      ? new Date(history[index + 1].effectiveFrom)
+      : null;
+    if (segmentStart >= rangeEnd || (segmentEnd && segmentEnd <= start)) {
+      return;
+    }
+
+    let carry = 0;
+    let periodStart = getPeriodStart(segmentStart, budget.period, preferences);
+    while (
+      periodStart < rangeEnd &&
+      (!segmentEnd || periodStart < segmentEnd)
+    ) {
+      const periodEnd = getNextPeriodStart(
+        periodStart,
+        budget.period,
+        preferences
+      );
+      // Part of the period this budget entry is in effect for
+      const activeFrom = new Date(Math.max(periodStart, segmentStart));
+      const activeTo = new Date(Math.min(periodEnd, segmentEnd || periodEnd));
+      const share = (activeTo - activeFrom) / (periodEnd - periodStart);
+      const rolledOver = carry;
+      const limit = budget.amount * share + rolledOver;
+      if (budget.rollover) {
+        carry = Math.max(limit - sumBetween(expenses, activeFrom, activeTo), 0);
+      }
+
+      // Part of the period inside the requested range
+      const from = new Date(Math.max(activeFrom, start));
+      const to = new Date(Math.min(activeTo, rangeEnd));
+      if (to > from) {
+        periods.push({
+          budgetId: budget._id,
+          period: budget.period,
+          start: activeFrom,
+          end: new Date(activeTo.getTime() - 1),
+          amount: budget.amount,
+          rolledOver: round(rolledOver),
+          limit: round((limit * (to - from)) / (activeTo - activeFrom)),
+          actual: round(sumBetween(expenses, from, to)),
+        });
+      }
+      periodStart = periodEnd;
+    }
+  });
+
+  return periods;
+};
+
+// Budget limit and actual spend of one category for [start, end] from its
+// budget `history` (sorted by effectiveFrom), or null when no budget applies
+const getCategoryBudgetVsActual = async (
+  category,
+  history,
+  start,
+  end,
+  preferences
+) => {
+  const categoryIds = await getDescendantIds(category._id);
+  // Rollover needs the spending since the budget took effect
+  const spendFrom = new Date(
+    Math.min(start, ...history.map((budget) => budget.effectiveFrom))
+  );
+  const expenses = await Expense.find(
+    {
+      categoryId: { $in: categoryIds },
+      date: { $gte: spendFrom, $lte: end },
+    },
+    "amount date"
+  ).lean();
+
+  const periods = buildBudgetPeriods(
+    history,
+    expenses,
+    start,
+    end,
+    preferences
+  );
+  if (!periods.length) return null;
+
+  const limit = round(periods.reduce((total, p) => total + p.limit, 0));
+  const actual = round(sumBetween(expenses, start, new Date(+end + 1)));
+  return {
+    categoryId: category._id,
+    name: category.name,
+    limit,
+    actual,
+    remaining: round(limit - actual),
+    percentUsed: limit > 0 ? round((actual / limit) * 100) : null,
+    periods,
+  };
+};
+
+// Budget limit and actual spend of every budgeted category in the scope for
+// [start, end]. Spending in subcategories counts towards their parent budget.
+const getBudgetVsActual = async (scopeMatch, start, end, preferences) => {
+  const budgets = await Budget.find(scopeMatch)
+    .sort({ effectiveFrom: 1 })
+    .lean();
+
+  const histories = new Map();
+  budgets.forEach((budget) => {
+    const key = String(budget.categoryId);
+    histories.set(key, [...(histories.get(key) || []), budget]);
+  });
+
+  const categories = await Category.find(
+    { _id: { $in: [...histories.keys()] } },
+    "name type"
+  ).lean();
+
+  const results = [];
+  for (const category of categories) {
+    const result = await getCategoryBudgetVsActual(
+      category,
+      histories.get(String(category._id)),
+      start,
+      end,
+      preferences
+    );
+    if (result) results.push(result);
+  }
+
+  return results;
+};
+
+// Budget limit of every budgeted category for [start, end], keyed by category id
+const getBudgetLimits = async (scopeMatch, start, end, preferences) => {
+  const results = await getBudgetVsActual(scopeMatch, start, end, preferences);
+  return new Map(
+    results.map((result) => [String(result.categoryId), result.limit])
+  );
+};
+
+module.exports = {
+  buildBudgetPeriods,
+  getCategoryBudgetVsActual,
+  getBudgetVsActual,
+  getBudgetLimits,
+};
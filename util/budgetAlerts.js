@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const { Budget, Category, Expense, Ledger } = require("../db/model");
+const {
+  getFrequencyKey,
+  getPeriodStart,
+  getNextPeriodStart,
+} = require("./dates");
+const { getAncestorIds, getDescendantIds } = require("./categoryTree");
+const { getCategoryBudgetVsActual } = require("./budget");
+const { formatAmount } = require("./common");
+const { notify } = require("./notifications");
+
+// Percentages of the limit that raise an alert, highest first
+const ALERT_LEVELS = [100, 80];
+
+// Limit and spending of a category in the period containing `now`. Categories
+// with a budget use its period, a plain threshold is counted per month.
+const getCurrentPeriodUsage = async (category, now, preferences) => {
+  const history = await Budget.find({
+    categoryId: category._id,
+    effectiveFrom: { $lte: now },
+  })
+    .sort({ effectiveFrom: 1 })
+    .lean();
+  if (!history.length && !(category.threshold > 0)) return null;
+
+  const period = history.length
+    ? history[history.length - 1].period
+    : "monthly";
+  const start = getPeriodStart(now, period, preferences);
+  const end = new Date(
+    getNextPeriodStart(start, period, preferences).getTime() - 1
+  );
+
+  if (history.length) {
+    const result = await getCategoryBudgetVsActual(
+      category,
+      history,
+      start,
+      end,
+      preferences
+    );
+    return (
+      result && { period, start, limit: result.limit, actual: result.actual }
+    );
+  }
+
+  const categoryIds = await getDescendantIds(category._id);
+  const [total] = await Expense.aggregate([
+    {
+      $match: {
+        categoryId: {
+          $in: categoryIds.map((id) => new mongoose.Types.ObjectId(id)),
+        },
+        date: { $gte: start, $lte: end },
+      },
+    },
+    { $group: { _id: null, amount: { $sum: "$amount" } } },
+  ]);
+  return {
+    period,
+    start,
+    limit: category.threshold,
+    actual: total?.amount || 0,
+  };
+};
+
+// Users that follow a category: every member of its ledger, or its owner
+const getCategoryRecipients = async (category) => {
+  if (!category.ledgerId) return [category.userId];
+  const ledger = await Ledger.findById(category.ledgerId, "members");
+  return ledger ? ledger.members.map((member) => member.userId) : [];
+};
+
+// Alert when new expenses push their categories (or parent categories) past
+// 80% or 100% of the limit for the current period. Each level is notified
+// once per category and period.
+const checkBudgetAlerts = async (expenses, preferences) => {
+  const now = new Date();
+
+  const categoryIds = new Set();
+  for (const categoryId of new Set(expenses.map((e) => String(e.categoryId)))) {
+    const category = await Category.findById(categoryId, "parentId");
+    if (!category) continue;
+    categoryIds.add(categoryId);
+    (await getAncestorIds(category)).forEach((id) => categoryIds.add(id));
+  }
+
+  for (const categoryId of categoryIds) {
+    const category = await Category.findById(categoryId);
+    if (!category) continue;
+
+    const usage = await getCurrentPeriodUsage(category, now, preferences);
+    if (!usage || !(usage.limit > 0)) continue;
+
+    const percentUsed = (usage.actual / usage.limit) * 100;
+    const level = ALERT_LEVELS.find((alertLevel) => percentUsed >= alertLevel);
+    if (!level) continue;
+
+    const periodKey = getFrequencyKey(usage.start, usage.period, preferences);
+    const title =
+      level >= 100
+        ? `Budget exceeded: ${category.name}`
+        : `${level}% of budget used: ${category.name}`;
+    const message = `${formatAmount(usage.actual, preferences)} spent of the ${
+      usage.period
+    } limit of ${formatAmount(usage.limit, preferences)} for ${
+      category.name
+    } (${Math.round(percentUsed)}%).`;
+
+    for (const userId of await getCategoryRecipients(category)) {
+      await notify(userId, {
+        type: "budget-alert",
+        title,
+        message,
+        payload: {
+          categoryId: category._id,
+          level,
+          period: usage.period,
+          periodKey,
+          limit: usage.limit,
+          actual: usage.actual,
+        },
+        dedupeKey: `budget-alert:${category._id}:${periodKey}:${level}`,
+      });
+    }
+  }
+};
+
+module.exports = { ALERT_LEVELS, checkBudgetAlerts };
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const models = require("../db/model");
+
+const { Category } = models;
+
+// Documents that only describe the category itself (e.g. its budgets) are
+// deleted with it instead of being moved or blocking the deletion
+const CATEGORY_OWNED_MODELS = ["Budget"];
+
+// Every model pointing at categories through a categoryId path
+const getCategoryReferencingModels = () =>
+  Object.values(models).filter(
+    (model) =>
+      model?.modelName &&
+      !CATEGORY_OWNED_MODELS.includes(model.modelName) &&
+      model.schema.path("categoryId")?.options?.ref === "Category"
+  );
+
+// Delete the documents owned by the categories
+const deleteCategoryOwnedDocuments = async (categoryIds, session) => {
+  for (const modelName of CATEGORY_OWNED_MODELS) {
+    await models[modelName].deleteMany(
+      { categoryId: { $in: categoryIds } },
+      { session }
+    );
+  }
+};
+
+// Number of documents per model that still use one of the categories
+const countCategoryUsage = async (categoryIds) => {
+  const usage = {};
+  for (const model of getCategoryReferencingModels()) {
+    const count = await model.countDocuments({
+      categoryId: { $in: categoryIds },
+    });
+    if (count) usage[model.modelName] = count;
+  }
+  return usage;
+};
+
+// Move every reference from the source categories to the target, hand their
+// subcategories over to the target and delete the sources, in one transaction.
+// Returns the number of moved documents per model.
+const mergeCategories = async (sourceIds, targetId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const moved = {};
+    for (const model of getCategoryReferencingModels()) {
+      const result = await model.updateMany(
+        { categoryId: { $in: sourceIds } },
+        { categoryId: targetId },
+        { session }
+      );
+      moved[model.modelName] = result.modifiedCount;
+    }
+
+    await Category.updateMany(
+      { parentId: { $in: sourceIds }, _id: { $ne: targetId } },
+      { parentId: targetId },
+      { session }
+    );
+    await Category.deleteMany({ _id: { $in: sourceIds } }, { session });
+    await deleteCategoryOwnedDocuments(sourceIds, session);
+
+    await session.commitTransaction();
+    return moved;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getCategoryReferencingModels,
+  countCategoryUsage,
+  deleteCategoryOwnedDocuments,
+  mergeCategories,
+};
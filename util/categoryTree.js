@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const { Category } = require("../db/model");
+const { buildAccessFilter } = require("./ledgerAccess");
+
+// Raised when a change would break the category tree (maps to 400)
+class CategoryTreeError extends Error {}
+
+// Ids of all the ancestors of a category, closest first
+const getAncestorIds = async (category) => {
+  const ancestorIds = [];
+  let parentId = category.parentId;
+  while (parentId && !ancestorIds.includes(String(parentId))) {
+    ancestorIds.push(String(parentId));
+    const parent = await Category.findById(parentId, "parentId");
+    parentId = parent?.parentId;
+  }
+  return ancestorIds;
+};
+
+// Ids of a category and all of its subcategories (at any depth)
+const getDescendantIds = async (categoryId) => {
+  const ids = [String(categoryId)];
+  let frontier = [categoryId];
+  while (frontier.length) {
+    const children = await Category.find(
+      { parentId: { $in: frontier }, _id: { $nin: ids } },
+      "_id"
+    );
+    frontier = children.map((child) => child._id);
+    ids.push(...frontier.map(String));
+  }
+  return ids;
+};
+
+// Make sure `parentId` can be the parent of the category: it must be visible to
+// the user, have the same type and ledger, and must not be the category itself
+// or one of its descendants.
+const validateCategoryParent = async ({
+  categoryId,
+  parentId,
+  type,
+  ledgerId,
+  userId,
+}) => {
+  if (!parentId) return null;
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw new CategoryTreeError("Invalid parent category");
+  }
+
+  const parent = await Category.findOne({
+    _id: parentId,
+    ...(await buildAccessFilter(userId, "viewer")),
+  });
+  if (!parent) {
+    throw new CategoryTreeError("Parent category not found");
+  }
+  if (type && parent.type !== type) {
+    throw new CategoryTreeError(
+      "Parent category must be of the same type (income or expense)"
+    );
+  }
+  if (String(parent.ledgerId || "") !== String(ledgerId || "")) {
+    throw new CategoryTreeError(
+      "Parent category must belong to the same ledger"
+    );
+  }
+
+  // Reaching the category itself from the new parent upwards means a cycle
+  const lineage = [String(parent._id), ...(await getAncestorIds(parent))];
+  if (categoryId && lineage.includes(String(categoryId))) {
+    throw new CategoryTreeError(
+      "A category cannot be nested under itself or its subcategories"
+    );
+  }
+
+  return parent;
+};
+
+// Load the ancestors missing from `categoriesById` (a Map of id -> category)
+const loadAncestors = async (categoriesById) => {
+  let missing = [];
+  do {
+    missing = [...categoriesById.values()]
+      .map((category) => category.parentId)
+      .filter((id) => id && !categoriesById.has(String(id)));
+    if (missing.length) {
+      const parents = await Category.find({ _id: { $in: missing } }).lean();
+      parents.forEach((parent) =>
+        categoriesById.set(String(parent._id), parent)
+      );
+      // Dangling parent ids are treated as roots
+      if (!parents.length) break;
+    }
+  } while (missing.length);
+  return categoriesById;
+};
+
+const mergeNodes = (target, node) => {
+  target.amount += node.amount;
+  if (!target.threshold && node.threshold) target.threshold = node.threshold;
+  Object.entries(node.children).forEach(([name, child]) => {
+    if (target.children[name]) mergeNodes(target.children[name], child);
+    else target.children[name] = child;
+  });
+};
+
+// Build the category tree of a list of incomes or expenses joined with their
+// `category`. Every node is keyed by category name and holds the rolled-up
+// amount of the category and all its subcategories, so a parent threshold is
+// compared against the combined spend of its children. `thresholds` (category
+// id -> limit) overrides the thresholds stored on the categories.
+const buildCategoryTree = async (documents, thresholds = new Map()) => {
+  const categoriesById = new Map();
+  documents.forEach((doc) =>
+    categoriesById.set(String(doc.category._id), doc.category)
+  );
+  await loadAncestors(categoriesById);
+
+  const nodes = new Map();
+  categoriesById.forEach((category, id) =>
+    nodes.set(id, {
+      amount: 0,
+      threshold: thresholds.get(id) ?? (category.threshold || 0),
+      children: {},
+    })
+  );
+
+  // Add every amount to its category and all of its ancestors
+  documents.forEach((doc) => {
+    const visited = new Set();
+    let id = String(doc.category._id);
+    while (nodes.has(id) && !visited.has(id)) {
+      visited.add(id);
+      nodes.get(id).amount += doc.amount;
+      id = String(categoriesById.get(id).parentId || "");
+    }
+  });
+
+  // Group the categories under their parent, the rest are roots
+  const childIds = new Map();
+  categoriesById.forEach((category, id) => {
+    const parentId = category.parentId ? String(category.parentId) : null;
+    const key = parentId && nodes.has(parentId) ? parentId : null;
+    childIds.set(key, [...(childIds.get(key) || []), id]);
+  });
+
+  // Siblings sharing a name are merged, like the flat stats do
+  const buildLevel = (ids = [], visited = new Set()) => {
+    const level = {};
+    ids
+      .filter((id) => !visited.has(id))
+      .forEach((id) => {
+        visited.add(id);
+        const { name } = categoriesById.get(id);
+        const node = {
+          ...nodes.get(id),
+          children: buildLevel(childIds.get(id), visited),
+        };
+        if (level[name]) mergeNodes(level[name], node);
+        else level[name] = node;
+      });
+    return level;
+  };
+
+  return buildLevel(childIds.get(null));
+};
+
+module.exports = {
+  CategoryTreeError,
+  getAncestorIds,
+  getDescendantIds,
+  validateCategoryParent,
+  buildCategoryTree,
+};
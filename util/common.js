@@ -1,5 +1,36 @@
+const { resolvePreferences } = require("./dates");
+
+// Format an amount in the user's currency and locale
+const formatAmount = (amount, preferences) => {
+  const { currency, locale } = resolvePreferences(preferences);
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(
+    amount || 0
+  );
+};
+
+// Category rows sorted by amount, subcategories are indented under their parent
+const generateCategoryRows = (categories, money, depth = 0) =>
+  Object.entries(categories)
+    .sort((a, b) => b[1].amount - a[1].amount)
+    .map(
+      ([category, data]) =>
+        `<tr><td style="padding-left:${
+          depth * 16 + 8
+        }px">${category}</td><td>${money(data.amount)}</td>
+              <td style="${
+                data.amount / data.threshold > 0.8
+                  ? "color:red"
+                  : data.amount / data.threshold > 0.6
+                  ? "color:orange"
+                  : "color:green"
+              }">(${money(data.threshold)})</td></tr>` +
+        generateCategoryRows(data.children || {}, money, depth + 1)
+    )
+    .join("");
+
 // Generate HTML content
-const generateHTML = (stats) => {
+const generateHTML = (stats, preferences) => {
+  const money = (amount) => formatAmount(amount, preferences);
   return `
       <html>
   <head>
@@ -52,26 +83,30 @@ const generateHTML = (stats) => {
       <h1>Expense Summary</h1>
       <div class="section">
         <h2>Total Amount</h2>
-        <h2>${stats.totalAmount}</h2>
+        <h2>${money(stats.totalAmount)}</h2>
       </div>
       <div class="section">
         <h2>Amount by Type</h2>
         <table>
           <tr><th>Type</th><th>Amount</th></tr>
-          <tr><td>Fixed</td><td>${stats.totalAmountByType.fixed}</td></tr>
-                <tr><td>Variable</td><td>${
+          <tr><td>Fixed</td><td>${money(
+            stats.totalAmountByType.fixed
+          )}</td></tr>
+                <tr><td>Variable</td><td>${money(
                   stats.totalAmountByType.variable
-                }</td></tr>
+                )}</td></tr>
         </table>
       </div>
       <div class="section">
         <h2>Amount by Need or Want</h2>
         <table>
           <tr><th>Category</th><th>Amount</th></tr>
-          <tr><td>Need</td><td>${stats.totalAmountByNeedOrWant.need}</td></tr>
-                <tr><td>Want</td><td>${
+          <tr><td>Need</td><td>${money(
+            stats.totalAmountByNeedOrWant.need
+          )}</td></tr>
+                <tr><td>Want</td><td>${money(
                   stats.totalAmountByNeedOrWant.want
-                }</td></tr>
+                )}</td></tr>
         </table>
       </div>
       <div class="section">
@@ -80,7 +115,8 @@ const generateHTML = (stats) => {
           <tr><th>Date</th><th>Amount</th></tr>
           ${Object.entries(stats.totalAmountByFrequency)
             .map(
-              ([date, amount]) => `<tr><td>${date}</td><td>${amount}</td></tr>`
+              ([date, amount]) =>
+                `<tr><td>${date}</td><td>${money(amount)}</td></tr>`
             )
             .join("")}
         </table>
@@ -89,20 +125,7 @@ const generateHTML = (stats) => {
         <h2>Amount by Category</h2>
         <table>
           <tr><th>Category</th><th>Amount</th><th>Threshold</th></tr>
-          ${Object.entries(stats.totalAmountByCategory)
-            .sort((a, b) => b[1].amount - a[1].amount)
-            .map(
-              ([category, data]) =>
-                `<tr><td>${category}</td><td>${data.amount}</td>
-              <td style="${
-                data.amount / data.threshold > 0.8
-                  ? "color:red"
-                  : data.amount / data.threshold > 0.6
-                  ? "color:orange"
-                  : "color:green"
-              }">(${data.threshold})</td></tr>`
-            )
-            .join("")}
+          ${generateCategoryRows(stats.totalAmountByCategory, money)}
         </table>
       </div>
     </div>
@@ -111,4 +134,31 @@ const generateHTML = (stats) => {
     `;
 };
 
-module.exports = { generateHTML };
+// Generate a simple transactional email with an optional call-to-action link
+const generateActionEmailHTML = ({
+  title,
+  message,
+  actionUrl,
+  actionLabel,
+}) => {
+  return `
+      <html>
+  <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 20px;">
+    <div style="max-width: 600px; margin: auto; background: #f9f9f9; padding: 20px; border-radius: 8px;">
+      <h1 style="text-align: center; color: #4CAF50;">${title}</h1>
+      <p>${message}</p>
+      ${
+        actionUrl
+          ? `<p style="text-align: center;">
+        <a href="${actionUrl}" style="background: #4CAF50; color: white; padding: 10px 20px; border-radius: 4px; text-decoration: none;">${actionLabel}</a>
+      </p>
+      <p style="font-size: 12px; color: #777;">If the button does not work, open this link: ${actionUrl}</p>`
+          : ""
+      }
+    </div>
+  </body>
+</html>
+    `;
+};
+
+module.exports = { generateHTML, generateActionEmailHTML, formatAmount };
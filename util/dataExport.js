@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const AdmZip = require("adm-zip");
+const models = require("../db/model");
+const { generateRandomToken, hashToken } = require("./tokens");
+const { sendMail } = require("./mailer");
+const { generateActionEmailHTML } = require("./common");
+
+const { User, Category, Account, Income, Expense, Trip, DataExport } = models;
+
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_DIR = path.join(__dirname, "..", "exports");
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000; // Download links are valid for a day
+// Accounts with more incomes + expenses than this are exported in the background
+const EXPORT_SYNC_LIMIT = Number(process.env.EXPORT_SYNC_LIMIT) || 5000;
+
+// Internal bookkeeping that is not part of the user's data (notifications are
+// derived from it). Shared ledgers are left out because their members are
+// other accounts.
+const NON_EXPORTED_MODELS = ["Session", "DataExport", "Ledger", "Notification"];
+
+// Models included in an export archive (every user-owned model)
+const getExportableModels = () =>
+  Object.values(models).filter(
+    (model) =>
+      model?.modelName &&
+      model !== User &&
+      model.schema.path("userId") &&
+      !NON_EXPORTED_MODELS.includes(model.modelName)
+  );
+
+// Archive entry name of a model, e.g. "expenses.json"
+const getModelFileName = (model) => `${model.collection.collectionName}.json`;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(column.value(row))).join(",")
+    ),
+  ].join("\n");
+
+// Flattened expenses/incomes with category and trip names resolved
+const buildTransactionCsvs = async (userId) => {
+  const [categories, trips, accounts, expenses, incomes] = await Promise.all([
+    Category.find({ userId }).lean(),
+    Trip.find({ userId }).lean(),
+    Account.find({ userId }).lean(),
+    Expense.find({ userId }).sort({ date: 1 }).lean(),
+    Income.find({ userId }).sort({ date: 1 }).lean(),
+  ]);
+
+  const categoryById = new Map(categories.map((c) => [String(c._id), c]));
+  const tripNamesByExpenseId = new Map();
+  trips.forEach((trip) => {
+    (trip.expenses || []).forEach((expenseId) => {
+      const names = tripNamesByExpenseId.get(String(expenseId)) || [];
+      tripNamesByExpenseId.set(String(expenseId), [...names, trip.name]);
+    });
+  });
+  const categoryName = (row) => categoryById.get(String(row.categoryId))?.name;
+  const accountById = new Map(accounts.map((a) => [String(a._id), a]));
+  const accountName = (row) => accountById.get(String(row.accountId))?.name;
+
+  const expensesCsv = toCsv(
+    [
+      { header: "id", value: (e) => e._id },
+      { header: "date", value: (e) => e.date },
+      { header: "amount", value: (e) => e.amount },
+      { header: "description", value: (e) => e.description },
+      { header: "category", value: categoryName },
+      { header: "type", value: (e) => e.type },
+      { header: "needOrWant", value: (e) => e.needOrWant },
+      { header: "account", value: accountName },
+      {
+        header: "trips",
+        value: (e) =>
+          (tripNamesByExpenseId.get(String(e._id)) || []).join("; "),
+      },
+    ],
+    expenses
+  );
+
+  const incomesCsv = toCsv(
+    [
+      { header: "id", value: (i) => i._id },
+      { header: "date", value: (i) => i.date },
+      { header: "amount", value: (i) => i.amount },
+      { header: "source", value: (i) => i.source },
+      { header: "category", value: categoryName },
+      { header: "type", value: (i) => i.type },
+      { header: "account", value: accountName },
+    ],
+    incomes
+  );
+
+  return { expensesCsv, incomesCsv };
+};
+
+// Build the zip archive of everything a user owns, returns a Buffer
+const buildExportArchive = async (userId) => {
+  const user = await User.findById(userId, "email createdAt").lean();
+  const zip = new AdmZip();
+  const counts = {};
+
+  for (const model of getExportableModels()) {
+    const documents = await model.find({ userId }).lean();
+    counts[model.modelName] = documents.length;
+    zip.addFile(
+      getModelFileName(model),
+      Buffer.from(JSON.stringify(documents, null, 2))
+    );
+  }
+
+  const { expensesCsv, incomesCsv } = await buildTransactionCsvs(userId);
+  zip.addFile("csv/expenses.csv", Buffer.from(expensesCsv));
+  zip.addFile("csv/incomes.csv", Buffer.from(incomesCsv));
+
+  const manifest = {
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    user: { id: userId, email: user?.email, createdAt: user?.createdAt },
+    counts,
+  };
+  zip.addFile("manifest.json", Buffer.from(JSON.stringify(manifest, null, 2)));
+
+  return zip.toBuffer();
+};
+
+// Large accounts are exported in the background instead of in the request
+const shouldExportInBackground = async (userId) => {
+  const [expenseCount, incomeCount] = await Promise.all([
+    Expense.countDocuments({ userId }),
+    Income.countDocuments({ userId }),
+  ]);
+  return expenseCount + incomeCount > EXPORT_SYNC_LIMIT;
+};
+
+const getExportFileName = () =>
+  `one9-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+// Build the archive for a queued export, store it on disk and email the link.
+// The link is only in the email, so an export whose email fails is marked
+// failed (and its archive removed) for the user to start a new one.
+const runBackgroundExport = async (dataExport, email) => {
+  const storedFileName = `${dataExport._id}.zip`;
+  const storedPath = path.join(EXPORT_DIR, storedFileName);
+  try {
+    const archive = await buildExportArchive(dataExport.userId);
+    const downloadToken = generateRandomToken();
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    fs.writeFileSync(storedPath, archive);
+
+    await sendMail({
+      from: process.env.SENDER_EMAIL,
+      to: email,
+      subject: "Your data export is ready",
+      html: generateActionEmailHTML({
+        title: "Data export ready",
+        message:
+          "Your data export has been generated. The download link is valid for 24 hours.",
+        actionUrl: `${process.env.APP_BASE_URL}/api/users/me/export/download?token=${downloadToken}`,
+        actionLabel: "Download export",
+      }),
+    });
+
+    dataExport.status = "ready";
+    dataExport.storedFileName = storedFileName;
+    dataExport.downloadTokenHash = hashToken(downloadToken);
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+    await dataExport.save();
+  } catch (err) {
+    console.error("[Data export] failed:", err);
+    if (fs.existsSync(storedPath)) fs.unlinkSync(storedPath);
+    dataExport.status = "failed";
+    dataExport.error = err.message;
+    await dataExport.save();
+  }
+};
+
+// Remove export archives that are past their download window
+const cleanupExpiredExports = async () => {
+  if (!fs.existsSync(EXPORT_DIR)) return;
+  const cutoff = Date.now() - EXPORT_TTL_MS;
+  for (const fileName of fs.readdirSync(EXPORT_DIR)) {
+    const filePath = path.join(EXPORT_DIR, fileName);
+    if (fs.statSync(filePath).mtimeMs < cutoff) fs.unlinkSync(filePath);
+  }
+  await DataExport.deleteMany({
+    $or: [
+      { expiresAt: { $lt: new Date() } },
+      { status: { $ne: "ready" }, createdAt: { $lt: new Date(cutoff) } },
+    ],
+  });
+};
+
+module.exports = {
+  EXPORT_DIR,
+  EXPORT_FORMAT_VERSION,
+  getExportableModels,
+  getModelFileName,
+  buildExportArchive,
+  shouldExportInBackground,
+  getExportFileName,
+  runBackgroundExport,
+  cleanupExpiredExports,
+};
@@ -0,0 +1,309 @@
+const mongoose = require("mongoose");
+const AdmZip = require("adm-zip");
+const {
+  EXPORT_FORMAT_VERSION,
+  getExportableModels,
+  getModelFileName,
+} = require("./dataExport");
+
+// Fields that identify an existing document when merging into an account.
+// Models without an entry are always created.
+const MERGE_KEYS = {
+  Category: ["name", "type"],
+  Budget: ["categoryId", "period", "effectiveFrom"],
+  Account: ["name", "type"],
+  Transfer: ["fromAccountId", "toAccountId", "amount", "date"],
+  Reconciliation: ["accountId", "periodStart"],
+  Holding: ["name", "kind"],
+  Goal: ["name", "startDate"],
+  Loan: ["name", "startDate"],
+  Contact: ["name"],
+  IouEntry: ["contactId", "kind", "amount", "date"],
+  Income: ["categoryId", "amount", "date", "source"],
+  Expense: ["categoryId", "amount", "date", "description"],
+  Trip: ["name", "startDate"],
+  Recurring: ["kind", "description", "startDate"],
+  Bill: ["payee", "startDate"],
+  Report: ["type", "generatedAt"],
+  ImportConfiguration: ["name"],
+};
+
+// Raised for archives that cannot be restored (maps to 400)
+class ImportArchiveError extends Error {}
+
+const getPath = (doc, pathName) =>
+  pathName.split(".").reduce((value, key) => value?.[key], doc);
+
+const setPath = (doc, pathName, value) => {
+  const keys = pathName.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => target?.[key], doc);
+  if (parent) parent[last] = value;
+};
+
+const getRefName = (schemaType) =>
+  schemaType.options?.ref || schemaType.caster?.options?.ref;
+
+// Models referenced by a schema (including inside subdocument arrays)
+const getReferencedModelNames = (schema) => {
+  const names = new Set();
+  schema.eachPath((pathName, schemaType) => {
+    if (schemaType.$isMongooseDocumentArray) {
+      getReferencedModelNames(schemaType.schema).forEach((n) => names.add(n));
+    } else if (getRefName(schemaType)) {
+      names.add(getRefName(schemaType));
+    }
+  });
+  return names;
+};
+
+// Order models so that referenced models are restored before the ones pointing at them
+const sortByDependencies = (models) => {
+  const sorted = [];
+  const pending = [...models];
+  while (pending.length) {
+    const index = pending.findIndex((model) =>
+      [...getReferencedModelNames(model.schema)].every(
+        (name) =>
+          name === model.modelName ||
+          !pending.some((other) => other.modelName === name)
+      )
+    );
+    // Circular references fall back to the declared order
+    sorted.push(...pending.splice(index === -1 ? 0 : index, 1));
+  }
+  return sorted;
+};
+
+// Rewrite every ObjectId reference of a document through `resolveRef`
+const remapReferences = (doc, schema, resolveRef) => {
+  schema.eachPath((pathName, schemaType) => {
+    const value = getPath(doc, pathName);
+    if (value === null || value === undefined) return;
+
+    if (schemaType.$isMongooseDocumentArray) {
+      if (Array.isArray(value)) {
+        value.forEach((item) =>
+          remapReferences(item, schemaType.schema, resolveRef)
+        );
+      }
+      return;
+    }
+
+    const refName = getRefName(schemaType);
+    if (!refName) return;
+    if (Array.isArray(value)) {
+      setPath(
+        doc,
+        pathName,
+        value.map((id) => resolveRef(refName, id)).filter(Boolean)
+      );
+    } else {
+      setPath(doc, pathName, resolveRef(refName, value));
+    }
+  });
+};
+
+// Comparable key of a document for merge de-duplication
+const buildMergeKey = (model, doc) =>
+  MERGE_KEYS[model.modelName]
+    .map((field) => {
+      const value = getPath(doc, field);
+      if (value === null || value === undefined) return "";
+      return model.schema.path(field)?.instance === "Date"
+        ? new Date(value).toISOString()
+        : String(value);
+    })
+    .join("|");
+
+// Read and validate the archive entries, keyed by model name
+const readArchive = (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw new ImportArchiveError("File is not a valid zip archive");
+  }
+
+  const readJson = (entryName) => {
+    const entry = zip.getEntry(entryName);
+    if (!entry) return null;
+    try {
+      return JSON.parse(entry.getData().toString("utf8"));
+    } catch (err) {
+      throw new ImportArchiveError(`${entryName} is not valid JSON`);
+    }
+  };
+
+  const manifest = readJson("manifest.json");
+  if (!manifest) {
+    throw new ImportArchiveError("Archive has no manifest.json");
+  }
+  if (manifest.version > EXPORT_FORMAT_VERSION) {
+    throw new ImportArchiveError(
+      `Archive version ${manifest.version} is not supported`
+    );
+  }
+
+  const documentsByModel = {};
+  for (const model of getExportableModels()) {
+    const documents = readJson(getModelFileName(model)) || [];
+    if (!Array.isArray(documents)) {
+      throw new ImportArchiveError(
+        `${getModelFileName(model)} must contain an array`
+      );
+    }
+    documentsByModel[model.modelName] = documents;
+  }
+  return documentsByModel;
+};
+
+// Restore an export archive into the account of `userId`.
+// mode "merge" keeps existing data and skips documents that already exist,
+// mode "replace" deletes the account data first. Runs in one transaction and
+// returns { [modelName]: { created, skipped } }.
+const restoreExportArchive = async (userId, buffer, mode) => {
+  const documentsByModel = readArchive(buffer);
+  const models = sortByDependencies(getExportableModels());
+  const archivedModelNames = new Set(models.map((model) => model.modelName));
+  const idMap = new Map(); // "<Model>:<old id>" -> new (or existing) id
+
+  const resolveRef = (refName, oldId) => {
+    if (refName === "User") return userId;
+    if (!archivedModelNames.has(refName)) return null; // Not part of the archive
+    return idMap.get(`${refName}:${oldId}`) || null;
+  };
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const summary = {};
+
+    if (mode === "replace") {
+      for (const model of models) {
+        await model.deleteMany({ userId }, { session });
+      }
+    }
+
+    // References to a model restored later (reference cycles such as
+    // Trip -> Expense -> Recurring -> Trip) are set once every id is known
+    const deferredRefs = [];
+
+    for (const [index, model] of models.entries()) {
+      const documents = documentsByModel[model.modelName];
+      const modelSummary = { created: 0, skipped: 0 };
+      summary[model.modelName] = modelSummary;
+      if (!documents.length) continue;
+
+      // Existing documents that an archived one would duplicate
+      const existingByKey = new Map();
+      if (mode === "merge" && MERGE_KEYS[model.modelName]) {
+        const existing = await model.find({ userId }).session(session).lean();
+        existing.forEach((doc) =>
+          existingByKey.set(buildMergeKey(model, doc), doc._id)
+        );
+      }
+
+      // First pass: decide the id of every document so self references resolve
+      const planned = documents.map((original) => {
+        const doc = JSON.parse(JSON.stringify(original));
+        const oldId = doc._id;
+        delete doc._id;
+        delete doc.__v;
+        remapReferences(doc, model.schema, resolveRef);
+
+        const existingId =
+          existingByKey.size > 0
+            ? existingByKey.get(buildMergeKey(model, doc))
+            : null;
+        const newId = existingId || new mongoose.Types.ObjectId();
+        idMap.set(`${model.modelName}:${oldId}`, newId);
+        return { original, existingId, newId };
+      });
+
+      // Second pass: remap with the complete id map and insert
+      const toInsert = [];
+      const insertedOriginals = [];
+      for (const { original, existingId, newId } of planned) {
+        const doc = { ...JSON.parse(JSON.stringify(original)), _id: newId };
+        delete doc.__v;
+        remapReferences(doc, model.schema, resolveRef);
+
+        if (existingId) {
+          // Keep the existing document but add any archived array references (e.g. trip expenses)
+          const additions = {};
+          model.schema.eachPath((pathName, schemaType) => {
+            const value = getPath(doc, pathName);
+            if (
+              getRefName(schemaType) &&
+              Array.isArray(value) &&
+              value.length
+            ) {
+              additions[pathName] = { $each: value };
+            }
+          });
+          if (Object.keys(additions).length) {
+            await model.updateOne(
+              { _id: existingId },
+              { $addToSet: additions },
+              { session }
+            );
+          }
+          modelSummary.skipped++;
+          continue;
+        }
+
+        // Documents whose required references could not be resolved are skipped
+        if (new model(doc).validateSync()) {
+          idMap.delete(`${model.modelName}:${original._id}`);
+          modelSummary.skipped++;
+          continue;
+        }
+        toInsert.push(doc);
+        insertedOriginals.push({ original, newId });
+      }
+
+      if (toInsert.length) {
+        await model.insertMany(toInsert, { session });
+      }
+      modelSummary.created = toInsert.length;
+
+      const laterModelNames = models
+        .slice(index + 1)
+        .map((later) => later.modelName);
+      model.schema.eachPath((pathName, schemaType) => {
+        const refName = getRefName(schemaType);
+        if (!laterModelNames.includes(refName)) return;
+        insertedOriginals.forEach(({ original, newId }) => {
+          const oldValue = getPath(original, pathName);
+          if (oldValue) {
+            deferredRefs.push({ model, newId, pathName, refName, oldValue });
+          }
+        });
+      });
+    }
+
+    for (const { model, newId, pathName, refName, oldValue } of deferredRefs) {
+      const value = Array.isArray(oldValue)
+        ? oldValue.map((id) => resolveRef(refName, id)).filter(Boolean)
+        : resolveRef(refName, oldValue);
+      if (value) {
+        await model.updateOne(
+          { _id: newId },
+          { $set: { [pathName]: value } },
+          { session }
+        );
+      }
+    }
+
+    await session.commitTransaction();
+    return summary;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = { restoreExportArchive, ImportArchiveError };
@@ -0,0 +1,261 @@
+// Timezone-aware date helpers used by the stats routes.
+// All calendar maths is done on the user's local date (from their preferences)
+// instead of the UTC date returned by toISOString().
+
+const DEFAULT_PREFERENCES = {
+  currency: "INR",
+  locale: "en-IN",
+  timezone: "UTC",
+  weekStartsOn: 0, // 0 = Sunday ... 6 = Saturday
+  fiscalYearStartMonth: 1, // 1 = January ... 12 = December
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fill in missing preference values with the defaults
+const resolvePreferences = (preferences) => ({
+  currency: preferences?.currency || DEFAULT_PREFERENCES.currency,
+  locale: preferences?.locale || DEFAULT_PREFERENCES.locale,
+  timezone: preferences?.timezone || DEFAULT_PREFERENCES.timezone,
+  weekStartsOn: preferences?.weekStartsOn ?? DEFAULT_PREFERENCES.weekStartsOn,
+  fiscalYearStartMonth:
+    preferences?.fiscalYearStartMonth ??
+    DEFAULT_PREFERENCES.fiscalYearStartMonth,
+});
+
+const formatterCache = new Map();
+const getPartsFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Calendar fields of an instant in the given timezone (month is 1-12)
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getPartsFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => (parts[type] = value));
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+};
+
+// Offset (ms) of the timezone from UTC at the given instant
+const getTimezoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+// Instant of local midnight of a calendar date in the given timezone.
+// Day overflow is allowed (e.g. day 32 rolls into the next month).
+const zonedMidnight = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const offset = getTimezoneOffset(guess, timeZone);
+  const result = guess - offset;
+  // Re-check in case the offset differs at the actual instant (DST change)
+  const correctedOffset = getTimezoneOffset(result, timeZone);
+  return new Date(guess - correctedOffset);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+const formatDateKey = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Local calendar date (year, month, day) of the first day of the week containing `date`
+const getWeekStartParts = (date, preferences) => {
+  const { timezone, weekStartsOn } = resolvePreferences(preferences);
+  const p = getZonedParts(date, timezone);
+  const start = new Date(Date.UTC(p.year, p.month - 1, p.day));
+  start.setUTCDate(start.getUTCDate() - ((p.weekday - weekStartsOn + 7) % 7));
+  return {
+    year: start.getUTCFullYear(),
+    month: start.getUTCMonth() + 1,
+    day: start.getUTCDate(),
+  };
+};
+
+// Fiscal year (named by the calendar year it starts in) and 1-based quarter
+const getFiscalParts = (year, month, fiscalYearStartMonth) => {
+  const monthsIntoYear = (month - fiscalYearStartMonth + 12) % 12;
+  return {
+    fiscalYear: month >= fiscalYearStartMonth ? year : year - 1,
+    quarter: Math.floor(monthsIntoYear / 3) + 1,
+  };
+};
+
+// Label of a fiscal year: "2025" for calendar years, "FY2025-26" otherwise
+const formatFiscalYear = (fiscalYear, fiscalYearStartMonth) =>
+  fiscalYearStartMonth === 1
+    ? `${fiscalYear}`
+    : `FY${fiscalYear}-${pad((fiscalYear + 1) % 100)}`;
+
+// Bucket key of a date for the given frequency in the user's timezone
+const getFrequencyKey = (date, frequency, preferences) => {
+  const { timezone, fiscalYearStartMonth } = resolvePreferences(preferences);
+  const p = getZonedParts(date, timezone);
+
+  switch (frequency) {
+    case "daily":
+      return formatDateKey(p.year, p.month, p.day); // Format: YYYY-MM-DD
+    case "weekly": {
+      const start = getWeekStartParts(date, preferences);
+      return formatDateKey(start.year, start.month, start.day); // Start of the week
+    }
+    case "quarterly": {
+      const { fiscalYear, quarter } = getFiscalParts(
+        p.year,
+        p.month,
+        fiscalYearStartMonth
+      );
+      return `${formatFiscalYear(
+        fiscalYear,
+        fiscalYearStartMonth
+      )}-Q${quarter}`; // Format: YYYY-QX
+    }
+    case "yearly": {
+      const { fiscalYear } = getFiscalParts(
+        p.year,
+        p.month,
+        fiscalYearStartMonth
+      );
+      return formatFiscalYear(fiscalYear, fiscalYearStartMonth); // Format: YYYY
+    }
+    case "monthly":
+    default:
+      return `${p.year}-${pad(p.month)}`; // Format: YYYY-MM
+  }
+};
+
+// Local midnight of the day containing `date` in the user's timezone
+const getStartOfDay = (date, preferences) => {
+  const { timezone } = resolvePreferences(preferences);
+  const p = getZonedParts(date, timezone);
+  return zonedMidnight(p.year, p.month, p.day, timezone);
+};
+
+// Start (local midnight) of the daily, weekly, monthly, quarterly or yearly
+// period containing `date`. Quarters and years follow the fiscal year like the
+// stats buckets.
+const getPeriodStart = (date, period, preferences) => {
+  const { timezone, fiscalYearStartMonth } = resolvePreferences(preferences);
+  const p = getZonedParts(date, timezone);
+
+  switch (period) {
+    case "daily":
+      return zonedMidnight(p.year, p.month, p.day, timezone);
+    case "weekly": {
+      const start = getWeekStartParts(date, preferences);
+      return zonedMidnight(start.year, start.month, start.day, timezone);
+    }
+    case "yearly": {
+      const { fiscalYear } = getFiscalParts(
+        p.year,
+        p.month,
+        fiscalYearStartMonth
+      );
+      return zonedMidnight(fiscalYear, fiscalYearStartMonth, 1, timezone);
+    }
+    case "quarterly": {
+      const { fiscalYear, quarter } = getFiscalParts(
+        p.year,
+        p.month,
+        fiscalYearStartMonth
+      );
+      return zonedMidnight(
+        fiscalYear,
+        fiscalYearStartMonth + (quarter - 1) * 3,
+        1,
+        timezone
+      );
+    }
+    case "monthly":
+    default:
+      return zonedMidnight(p.year, p.month, 1, timezone);
+  }
+};
+
+// Start of the period that follows the one starting at `periodStart`
+const getNextPeriodStart = (periodStart, period, preferences) => {
+  const { timezone } = resolvePreferences(preferences);
+  const p = getZonedParts(periodStart, timezone);
+
+  switch (period) {
+    case "daily":
+      return zonedMidnight(p.year, p.month, p.day + 1, timezone);
+    case "weekly":
+      return zonedMidnight(p.year, p.month, p.day + 7, timezone);
+    case "quarterly":
+      return zonedMidnight(p.year, p.month + 3, p.day, timezone);
+    case "yearly":
+      return zonedMidnight(p.year + 1, p.month, p.day, timezone);
+    case "monthly":
+    default:
+      return zonedMidnight(p.year, p.month + 1, p.day, timezone);
+  }
+};
+
+// Parse a range boundary from a query string. Plain dates (YYYY-MM-DD) are read
+// in the user's timezone; `endOfDay` makes an end date include that whole day.
+const parseDateBoundary = (value, preferences, endOfDay = false) => {
+  if (!DATE_ONLY_REGEX.test(String(value))) return new Date(value);
+
+  const { timezone } = resolvePreferences(preferences);
+  const [year, month, day] = String(value).split("-").map(Number);
+  if (!endOfDay) return zonedMidnight(year, month, day, timezone);
+  return new Date(zonedMidnight(year, month, day + 1, timezone).getTime() - 1);
+};
+
+// Check that a string is an IANA timezone supported by the runtime
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  resolvePreferences,
+  getZonedParts,
+  zonedMidnight,
+  getWeekStartParts,
+  getFiscalParts,
+  getFrequencyKey,
+  getStartOfDay,
+  getPeriodStart,
+  getNextPeriodStart,
+  parseDateBoundary,
+  isValidTimezone,
+};
@@ -0,0 +1,87 @@
+const { Account } = require("../db/model");
+const { getAccountBalance } = require("./accounts");
+
+const MONTH_MS = (365.25 / 12) * 24 * 60 * 60 * 1000; // Average month
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Amount saved towards a goal at `asOf`
+const getSavedAmount = async (goal, account, asOf) => {
+  if (account) {
+    const balance = await getAccountBalance(account, asOf);
+    return balance ? balance.balance : 0;
+  }
+  return goal.contributions
+    .filter((contribution) => contribution.date <= asOf)
+    .reduce((sum, contribution) => sum + contribution.amount, 0);
+};
+
+// Progress of a goal: percent complete, the monthly amount still needed to
+// reach the target by its date and the completion date projected from the
+// contribution rate since the goal started
+const getGoalProgress = async (goal, now = new Date()) => {
+  const account = goal.accountId
+    ? await Account.findById(goal.accountId)
+    : null;
+
+  // Manual contributions dated before the goal started still count for the rate
+  const firstContribution = goal.contributions.reduce(
+    (first, contribution) =>
+      !first || contribution.date < first ? contribution.date : first,
+    null
+  );
+  const start =
+    !account && firstContribution && firstContribution < goal.startDate
+      ? firstContribution
+      : goal.startDate;
+
+  const saved = await getSavedAmount(goal, account, now);
+  const savedAtStart = account ? await getSavedAmount(goal, account, start) : 0;
+  const remaining = Math.max(goal.targetAmount - saved, 0);
+
+  // At least a month so a fresh goal does not extrapolate a single deposit
+  const monthsElapsed = Math.max((now - start) / MONTH_MS, 1);
+  const monthlyRate = (saved - savedAtStart) / monthsElapsed;
+
+  let monthlyAmountNeeded = null;
+  if (goal.targetDate) {
+    const monthsLeft = (goal.targetDate - now) / MONTH_MS;
+    monthlyAmountNeeded = roundAmount(
+      monthsLeft > 1 ? remaining / monthsLeft : remaining
+    );
+  }
+
+  let projectedCompletionDate = null;
+  if (remaining === 0) {
+    projectedCompletionDate = now;
+  } else if (monthlyRate > 0) {
+    projectedCompletionDate = new Date(
+      now.getTime() + (remaining / monthlyRate) * MONTH_MS
+    );
+  }
+
+  return {
+    saved: roundAmount(saved),
+    remaining: roundAmount(remaining),
+    percentComplete: goal.targetAmount
+      ? roundAmount(Math.min((saved / goal.targetAmount) * 100, 100))
+      : 100,
+    monthlyContributionRate: roundAmount(monthlyRate),
+    monthlyAmountNeeded,
+    projectedCompletionDate,
+    // Only meaningful with a target date
+    onTrack:
+      remaining === 0 ||
+      (goal.targetDate
+        ? Boolean(
+            projectedCompletionDate &&
+              projectedCompletionDate <= goal.targetDate
+          )
+        : null),
+    achieved: remaining === 0,
+  };
+};
+
+module.exports = {
+  getGoalProgress,
+};
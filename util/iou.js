@@ -0,0 +1,168 @@
+const { Contact, IouEntry, User } = require("../db/model");
+const { getFrequencyKey, resolvePreferences } = require("./dates");
+const { formatAmount } = require("./common");
+const { notify } = require("./notifications");
+
+// Repayment kind settling each debt kind
+const REPAYMENT_KINDS = {
+  lent: "repayment-received",
+  borrowed: "repayment-made",
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Totals and open debts of one contact from its entries. Repayments settle
+// the oldest debts first, a debt still open after its due date is overdue.
+// A positive balance is owed to you, a negative one is owed by you.
+const summarizeEntries = (entries, now = new Date()) => {
+  const totals = {
+    lent: 0,
+    borrowed: 0,
+    "repayment-received": 0,
+    "repayment-made": 0,
+  };
+  entries.forEach((entry) => {
+    totals[entry.kind] += entry.amount;
+  });
+
+  const openDebts = [];
+  Object.entries(REPAYMENT_KINDS).forEach(([kind, repaymentKind]) => {
+    let repaid = totals[repaymentKind];
+    entries
+      .filter((entry) => entry.kind === kind)
+      .sort((a, b) => a.date - b.date)
+      .forEach((entry) => {
+        const settled = Math.min(repaid, entry.amount);
+        repaid -= settled;
+        const outstanding = roundAmount(entry.amount - settled);
+        if (outstanding <= 0) return;
+        openDebts.push({
+          entryId: entry._id,
+          kind,
+          amount: entry.amount,
+          outstanding,
+          date: entry.date,
+          dueDate: entry.dueDate,
+          overdue: Boolean(entry.dueDate && entry.dueDate < now),
+        });
+      });
+  });
+
+  const overdueBy = (kind) =>
+    roundAmount(
+      openDebts
+        .filter((debt) => debt.kind === kind && debt.overdue)
+        .reduce((sum, debt) => sum + debt.outstanding, 0)
+    );
+
+  return {
+    lent: roundAmount(totals.lent),
+    borrowed: roundAmount(totals.borrowed),
+    repaymentsReceived: roundAmount(totals["repayment-received"]),
+    repaymentsMade: roundAmount(totals["repayment-made"]),
+    balance: roundAmount(
+      totals.lent -
+        totals["repayment-received"] -
+        (totals.borrowed - totals["repayment-made"])
+    ),
+    overdueToYou: overdueBy("lent"),
+    overdueByYou: overdueBy("borrowed"),
+    openDebts,
+  };
+};
+
+// Outstanding balance of every contact of a user or ledger (`scopeMatch`, see
+// resolveScopeMatch) with the totals owed to and by you
+const getContactBalances = async (scopeMatch, now = new Date()) => {
+  const [contacts, entries] = await Promise.all([
+    Contact.find(scopeMatch).sort({ name: 1 }).lean(),
+    IouEntry.find(scopeMatch).lean(),
+  ]);
+
+  const entriesByContact = new Map();
+  entries.forEach((entry) => {
+    const key = String(entry.contactId);
+    if (!entriesByContact.has(key)) entriesByContact.set(key, []);
+    entriesByContact.get(key).push(entry);
+  });
+
+  const balances = contacts.map((contact) => ({
+    contact,
+    ...summarizeEntries(entriesByContact.get(String(contact._id)) || [], now),
+  }));
+
+  const sumBy = (value) =>
+    roundAmount(balances.reduce((sum, balance) => sum + value(balance), 0));
+  return {
+    contacts: balances,
+    totals: {
+      owedToYou: sumBy((balance) => Math.max(balance.balance, 0)),
+      owedByYou: sumBy((balance) => Math.max(-balance.balance, 0)),
+      overdueToYou: sumBy((balance) => balance.overdueToYou),
+      overdueByYou: sumBy((balance) => balance.overdueByYou),
+    },
+  };
+};
+
+// Scheduler job: remind the owner of every overdue lent or borrowed amount
+// (once a week per entry while it stays open)
+const sendIouReminders = async (now = new Date()) => {
+  const contactIds = await IouEntry.distinct("contactId", {
+    kind: { $in: Object.keys(REPAYMENT_KINDS) },
+    dueDate: { $lt: now },
+  });
+  const contacts = await Contact.find({ _id: { $in: contactIds } });
+
+  const preferencesByUser = new Map();
+  for (const contact of contacts) {
+    const userKey = String(contact.userId);
+    if (!preferencesByUser.has(userKey)) {
+      const user = await User.findById(contact.userId, "preferences");
+      preferencesByUser.set(userKey, resolvePreferences(user?.preferences));
+    }
+    const preferences = preferencesByUser.get(userKey);
+
+    try {
+      const entries = await IouEntry.find({ contactId: contact._id }).lean();
+      const { openDebts } = summarizeEntries(entries, now);
+
+      for (const debt of openDebts.filter((d) => d.overdue)) {
+        const amount = formatAmount(debt.outstanding, preferences);
+        const dueDate = debt.dueDate.toLocaleDateString(preferences.locale, {
+          timeZone: preferences.timezone,
+        });
+        await notify(contact.userId, {
+          type: "iou-reminder",
+          title:
+            debt.kind === "lent"
+              ? `${contact.name} owes you ${amount}`
+              : `You owe ${contact.name} ${amount}`,
+          message:
+            debt.kind === "lent"
+              ? `${amount} lent to ${contact.name} was due back on ${dueDate}.`
+              : `${amount} borrowed from ${contact.name} was due on ${dueDate}.`,
+          payload: {
+            contactId: contact._id,
+            entryId: debt.entryId,
+            outstanding: debt.outstanding,
+            dueDate: debt.dueDate,
+          },
+          dedupeKey: `iou-reminder:${debt.entryId}:${getFrequencyKey(
+            now,
+            "weekly",
+            preferences
+          )}`,
+        });
+      }
+    } catch (err) {
+      // One broken contact must not stop the others
+      console.error(`[IOU] reminder for ${contact._id} failed:`, err);
+    }
+  }
+};
+
+module.exports = {
+  summarizeEntries,
+  getContactBalances,
+  sendIouReminders,
+};
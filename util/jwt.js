@@ -1,21 +1,142 @@
 const jwt = require("jsonwebtoken");
+const { User, Session } = require("../db/model");
+const { hashToken } = require("./tokens");
+const { resolvePreferences } = require("./dates");
 require("dotenv").config();
 
-const authenticateToken = (req, res, next) => {
+const PERSONAL_TOKEN_PREFIX = "o9_pat_";
+
+// Scope a personal access token needs for a request, null when tokens are not allowed.
+// Anything not listed here is read-only for tokens.
+const requiredTokenScope = (req) => {
+  if (req.baseUrl.startsWith("/api/users")) return null; // Account management needs a login
+  if (req.baseUrl.startsWith("/api/import-config")) return "import";
+  if (["GET", "HEAD"].includes(req.method)) return "read";
+  if (req.baseUrl.startsWith("/api/expense")) return "expense:write";
+  if (req.baseUrl.startsWith("/api/income")) return "income:write";
+  return null;
+};
+
+// Authenticate a personal access token (used by scripts instead of a login)
+const authenticatePersonalToken = async (token, req, res, next) => {
+  try {
+    const tokenHash = hashToken(token);
+    const user = await User.findOne(
+      { "apiTokens.tokenHash": tokenHash },
+      "email role preferences apiTokens"
+    );
+    const apiToken = user?.apiTokens.find((t) => t.tokenHash === tokenHash);
+    if (!apiToken) {
+      return res.status(403).json({ message: "Invalid token" });
+    }
+    if (apiToken.expiresAt && apiToken.expiresAt < new Date()) {
+      return res.status(403).json({ message: "Token has expired" });
+    }
+
+    const scope = requiredTokenScope(req);
+    if (!scope || !apiToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        message: "Token scope does not allow this action",
+        requiredScope: scope,
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id, "apiTokens._id": apiToken._id },
+      { $set: { "apiTokens.$.lastUsedAt": new Date() } }
+    );
+
+    req.user = {
+      userId: String(user._id),
+      email: user.email,
+      role: user.role,
+      preferences: resolvePreferences(user.preferences),
+      tokenType: "personal",
+      tokenId: String(apiToken._id),
+      scopes: apiToken.scopes,
+    };
+    next();
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: "Error validating token", error: error.message });
+  }
+};
+
+const authenticateToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1];
   if (!token) {
     return res.status(401).json({ message: "Access token is required" });
   }
 
+  if (token.startsWith(PERSONAL_TOKEN_PREFIX)) {
+    return authenticatePersonalToken(token, req, res, next);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Add user data to request object
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return res
       .status(403)
       .json({ message: "Invalid token", error: error.message });
   }
+
+  // Purpose tokens (email verification, password reset...) are not login tokens
+  if (decoded.purpose) {
+    return res.status(403).json({ message: "Invalid token" });
+  }
+
+  try {
+    const user = await User.findById(
+      decoded.userId,
+      "role preferences passwordChangedAt"
+    );
+    if (!user) {
+      return res.status(403).json({ message: "Invalid token" });
+    }
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res
+        .status(403)
+        .json({ message: "Password was changed, please log in again" });
+    }
+
+    // Tokens bound to a session die with it (logout, logout everywhere...)
+    if (decoded.sid) {
+      const session = await Session.findOne(
+        { _id: decoded.sid, userId: decoded.userId },
+        "revokedAt expiresAt"
+      );
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return res.status(401).json({ message: "Session has ended" });
+      }
+    }
+
+    // Role is read from the database so promotions/demotions apply immediately
+    decoded.role = user.role;
+    decoded.preferences = resolvePreferences(user.preferences);
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: "Error validating token", error: error.message });
+  }
+
+  req.user = decoded; // Add user data to request object
+  next();
 };
 
+// Allow the request only for the given roles, use after authenticateToken
+const authorizeRoles =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res
+        .status(403)
+        .json({ message: "You are not allowed to perform this action" });
+    }
+    next();
+  };
+
 module.exports = authenticateToken;
+module.exports.authorizeRoles = authorizeRoles;
+module.exports.PERSONAL_TOKEN_PREFIX = PERSONAL_TOKEN_PREFIX;
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const { Ledger, User } = require("../db/model");
+
+// Higher rank includes the permissions of the lower ones
+const LEDGER_ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Raised when the user cannot access a ledger (maps to 403)
+class LedgerAccessError extends Error {}
+
+const hasLedgerRole = (role, minRole) =>
+  (LEDGER_ROLE_RANK[role] || 0) >= LEDGER_ROLE_RANK[minRole];
+
+// Role of the user in a ledger, or null when not a member
+const getLedgerRole = (ledger, userId) =>
+  ledger?.members.find((member) => String(member.userId) === String(userId))
+    ?.role || null;
+
+// Load a ledger and make sure the user has at least `minRole` in it
+const assertLedgerAccess = async (ledgerId, userId, minRole = "viewer") => {
+  const ledger = mongoose.isValidObjectId(ledgerId)
+    ? await Ledger.findById(ledgerId)
+    : null;
+  if (!ledger || !hasLedgerRole(getLedgerRole(ledger, userId), minRole)) {
+    throw new LedgerAccessError(
+      `You need ${minRole} access to this ledger for this action`
+    );
+  }
+  return ledger;
+};
+
+// Ids of the ledgers where the user has at least `minRole`
+const getAccessibleLedgerIds = async (userId, minRole = "viewer") => {
+  const roles = Object.keys(LEDGER_ROLE_RANK).filter((role) =>
+    hasLedgerRole(role, minRole)
+  );
+  const ledgers = await Ledger.find(
+    { members: { $elemMatch: { userId, role: { $in: roles } } } },
+    "_id"
+  );
+  return ledgers.map((ledger) => ledger._id);
+};
+
+// Query filter for single documents: own documents or documents of ledgers
+// where the user has at least `minRole`
+const buildAccessFilter = async (userId, minRole = "viewer") => ({
+  $or: [
+    { userId },
+    { ledgerId: { $in: await getAccessibleLedgerIds(userId, minRole) } },
+  ],
+});
+
+// $match stage for stats/list routes: the whole ledger when `ledgerId` is
+// given (any member may read it), otherwise the user's own documents
+const resolveScopeMatch = async (userId, ledgerId) => {
+  if (!ledgerId) return { userId: new mongoose.Types.ObjectId(userId) };
+  const ledger = await assertLedgerAccess(ledgerId, userId, "viewer");
+  return { ledgerId: ledger._id };
+};
+
+// Total amount per member email, to show who spent/earned what in a ledger
+const summarizeByMember = async (documents) => {
+  const userIds = [...new Set(documents.map((doc) => String(doc.userId)))];
+  const users = await User.find({ _id: { $in: userIds } }, "email");
+  const emailById = new Map(
+    users.map((user) => [String(user._id), user.email])
+  );
+
+  return documents.reduce((totals, doc) => {
+    const email = emailById.get(String(doc.userId)) || "Former member";
+    totals[email] = (totals[email] || 0) + doc.amount;
+    return totals;
+  }, {});
+};
+
+module.exports = {
+  LEDGER_ROLE_RANK,
+  LedgerAccessError,
+  hasLedgerRole,
+  getLedgerRole,
+  assertLedgerAccess,
+  buildAccessFilter,
+  resolveScopeMatch,
+  summarizeByMember,
+};
@@ -0,0 +1,342 @@
+const { Loan, Expense } = require("../db/model");
+const { resolvePreferences } = require("./dates");
+const { getOccurrenceDate } = require("./recurring");
+
+const MONTH_MS = (365.25 / 12) * 24 * 60 * 60 * 1000; // Average month
+// Plans that would run longer never pay off (EMI below the monthly interest)
+const MAX_PLAN_MONTHS = 50 * 12;
+const PAYOFF_STRATEGIES = ["avalanche", "snowball"];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getMonthlyRate = (annualRate) => annualRate / 12 / 100;
+
+// Equated monthly instalment repaying `principal` over `tenureMonths`
+const calculateEmi = (principal, annualRate, tenureMonths) => {
+  const rate = getMonthlyRate(annualRate);
+  if (rate === 0) return roundAmount(principal / tenureMonths);
+  const factor = Math.pow(1 + rate, tenureMonths);
+  return roundAmount((principal * rate * factor) / (factor - 1));
+};
+
+// Local midnight `months` months after `date`, clamped to shorter months
+const addMonths = (date, months, timezone) =>
+  getOccurrenceDate(
+    { rule: { frequency: "monthly" }, startDate: date },
+    months,
+    timezone
+  );
+
+// Split a payment into interest due on `balance` and principal. The last
+// cents of rounding are written off with the final payment.
+const splitPayment = (balance, interestDue, amount) => {
+  const interest = roundAmount(Math.min(interestDue, amount));
+  let principal = roundAmount(Math.min(amount - interest, balance));
+  if (balance - principal < 0.05) principal = balance;
+  return { interest, principal };
+};
+
+// Month by month schedule of a loan at its EMI: due date, interest, principal
+// and the balance left after each instalment
+const buildAmortisationSchedule = (loan, preferences) => {
+  const { timezone } = resolvePreferences(preferences);
+  const rate = getMonthlyRate(loan.annualRate);
+  const installments = [];
+  let balance = loan.principal;
+
+  for (let index = 0; balance > 0 && index < MAX_PLAN_MONTHS; index++) {
+    const { interest, principal } = splitPayment(
+      balance,
+      balance * rate,
+      loan.emi
+    );
+    balance = roundAmount(balance - principal);
+    installments.push({
+      installment: index + 1,
+      dueDate: addMonths(loan.startDate, index, timezone),
+      payment: roundAmount(interest + principal),
+      principal,
+      interest,
+      balance,
+    });
+  }
+
+  return {
+    emi: loan.emi,
+    totalInterest: roundAmount(
+      installments.reduce((sum, row) => sum + row.interest, 0)
+    ),
+    totalPayment: roundAmount(
+      installments.reduce((sum, row) => sum + row.payment, 0)
+    ),
+    installments,
+  };
+};
+
+// Principal/interest split of the payments of a loan in date order. Interest
+// accrues for the months since the previous payment, so a prepayment made in
+// the same month as an EMI goes entirely to principal.
+const splitLoanPayments = (loan, payments) => {
+  const rate = getMonthlyRate(loan.annualRate);
+  // The loan is disbursed a month before the first EMI is due
+  let accruedFrom = new Date(loan.startDate.getTime() - MONTH_MS);
+  let balance = loan.principal;
+
+  const splits = [...payments]
+    .sort((a, b) => a.date - b.date)
+    .map((payment) => {
+      const months = Math.max(
+        Math.round((payment.date - accruedFrom) / MONTH_MS),
+        0
+      );
+      const { interest, principal } = splitPayment(
+        balance,
+        balance * rate * months,
+        payment.amount
+      );
+      balance = roundAmount(balance - principal);
+      if (months > 0) accruedFrom = payment.date;
+      return {
+        expenseId: payment._id,
+        principalAmount: principal,
+        interestAmount: interest,
+      };
+    });
+
+  return { splits, outstandingBalance: balance };
+};
+
+// Store the principal/interest split on every expense paying a loan, returns
+// the outstanding balance
+const applyLoanPayments = async (loan, session = null) => {
+  const payments = await Expense.find({ loanId: loan._id }, "amount date")
+    .session(session)
+    .lean();
+  const { splits, outstandingBalance } = splitLoanPayments(loan, payments);
+
+  if (splits.length) {
+    await Expense.bulkWrite(
+      splits.map(({ expenseId, principalAmount, interestAmount }) => ({
+        updateOne: {
+          filter: { _id: expenseId },
+          update: { principalAmount, interestAmount },
+        },
+      })),
+      { session }
+    );
+  }
+  return outstandingBalance;
+};
+
+// Recompute the payment split of a loan after one of its expenses changed
+const refreshLoanPayments = async (loanId) => {
+  const loan = await Loan.findById(loanId);
+  if (loan) await applyLoanPayments(loan);
+};
+
+// Months needed to repay `balance` at `emi`, null when it never pays off
+const getRemainingMonths = (balance, annualRate, emi) => {
+  if (balance <= 0) return 0;
+  const rate = getMonthlyRate(annualRate);
+  if (rate === 0) return Math.ceil(balance / emi);
+  if (emi <= balance * rate) return null;
+  return Math.ceil(-Math.log(1 - (balance * rate) / emi) / Math.log(1 + rate));
+};
+
+// Outstanding balance and totals paid of a loan. Without recorded payments the
+// balance is the scheduled one, assuming every EMI due so far was paid.
+const getLoanStatus = async (loan, preferences, now = new Date()) => {
+  const payments = await Expense.find({ loanId: loan._id }, "amount date")
+    .sort({ date: 1 })
+    .lean();
+  const schedule = buildAmortisationSchedule(loan, preferences);
+
+  let outstandingBalance = loan.principal;
+  let principalPaid = 0;
+  let interestPaid = 0;
+  if (payments.length) {
+    const result = splitLoanPayments(loan, payments);
+    outstandingBalance = result.outstandingBalance;
+    result.splits.forEach((split) => {
+      principalPaid += split.principalAmount;
+      interestPaid += split.interestAmount;
+    });
+  } else {
+    schedule.installments
+      .filter((row) => row.dueDate <= now)
+      .forEach((row) => {
+        outstandingBalance = row.balance;
+        principalPaid += row.principal;
+        interestPaid += row.interest;
+      });
+  }
+
+  const nextInstallment = schedule.installments.find(
+    (row) => row.dueDate > now
+  );
+  return {
+    outstandingBalance,
+    balanceSource: payments.length ? "payments" : "schedule",
+    principalPaid: roundAmount(principalPaid),
+    interestPaid: roundAmount(interestPaid),
+    paymentsMade: payments.length,
+    remainingMonths: getRemainingMonths(
+      outstandingBalance,
+      loan.annualRate,
+      loan.emi
+    ),
+    nextDueDate:
+      outstandingBalance > 0 && nextInstallment
+        ? nextInstallment.dueDate
+        : null,
+  };
+};
+
+// Month by month payoff of several loans. Every loan gets its EMI; the
+// `extraMonthly` budget, the one-off `lumpSum` and (with `rollover`) the EMIs of
+// loans already paid off go to the first unpaid loan in `order`.
+const simulatePayoff = (
+  loans,
+  { order = [], extraMonthly = 0, lumpSum = 0, rollover = true }
+) => {
+  const states = loans.map((loan) => ({
+    ...loan,
+    rate: getMonthlyRate(loan.annualRate),
+    interest: 0,
+    months: loan.balance > 0 ? null : 0,
+  }));
+  const byId = new Map(states.map((state) => [String(state.loanId), state]));
+  const targets = order.map((loanId) => byId.get(String(loanId)));
+
+  const payExtra = (amount) => {
+    let left = amount;
+    targets.forEach((state) => {
+      const paid = Math.min(left, state.balance);
+      state.balance -= paid;
+      left -= paid;
+    });
+  };
+
+  payExtra(lumpSum);
+  let month = 0;
+  while (states.some((state) => state.balance > 0.005)) {
+    if (month >= MAX_PLAN_MONTHS) break;
+    let pool = extraMonthly;
+    states.forEach((state) => {
+      if (state.balance <= 0.005) {
+        if (rollover) pool += state.emi;
+        return;
+      }
+      const interest = state.balance * state.rate;
+      state.interest += interest;
+      const payment = Math.min(state.emi, state.balance + interest);
+      state.balance = state.balance + interest - payment;
+      if (rollover) pool += state.emi - payment;
+    });
+    payExtra(pool);
+    month++;
+    states.forEach((state) => {
+      if (state.months === null && state.balance <= 0.005) {
+        state.months = month;
+      }
+    });
+  }
+
+  const paidOff = states.every((state) => state.months !== null);
+  return {
+    months: paidOff ? month : null,
+    totalInterest: roundAmount(
+      states.reduce((sum, state) => sum + state.interest, 0)
+    ),
+    loans: states.map((state) => ({
+      loanId: state.loanId,
+      name: state.name,
+      months: state.months,
+      interest: roundAmount(state.interest),
+    })),
+  };
+};
+
+// Compare paying only the EMIs with the avalanche (highest rate first) and
+// snowball (smallest balance first) strategies, and with putting the extra
+// money into a single loan. `loans` are { loanId, name, balance, annualRate, emi }.
+const planDebtPayoff = (
+  loans,
+  { extraMonthly = 0, lumpSum = 0 },
+  preferences,
+  now = new Date()
+) => {
+  const { timezone } = resolvePreferences(preferences);
+  const minimum = simulatePayoff(loans, { rollover: false });
+
+  const describe = (result) => ({
+    ...result,
+    payoffDate:
+      result.months === null ? null : addMonths(now, result.months, timezone),
+    interestSaved: roundAmount(minimum.totalInterest - result.totalInterest),
+    monthsSaved:
+      result.months === null || minimum.months === null
+        ? null
+        : minimum.months - result.months,
+    loans: result.loans.map((loan) => ({
+      ...loan,
+      payoffDate:
+        loan.months === null ? null : addMonths(now, loan.months, timezone),
+    })),
+  });
+
+  const orders = {
+    avalanche: [...loans].sort(
+      (a, b) => b.annualRate - a.annualRate || a.balance - b.balance
+    ),
+    snowball: [...loans].sort(
+      (a, b) => a.balance - b.balance || b.annualRate - a.annualRate
+    ),
+  };
+  const strategies = { minimum: describe(minimum) };
+  PAYOFF_STRATEGIES.forEach((strategy) => {
+    strategies[strategy] = {
+      order: orders[strategy].map((loan) => loan.loanId),
+      ...describe(
+        simulatePayoff(loans, {
+          order: orders[strategy].map((loan) => loan.loanId),
+          extraMonthly,
+          lumpSum,
+        })
+      ),
+    };
+  });
+
+  // Prepaying one loan only, its EMI stays the same and the tenure shrinks
+  const prepayment = loans
+    .map((loan) => ({
+      loanId: loan.loanId,
+      name: loan.name,
+      ...describe(
+        simulatePayoff(loans, {
+          order: [loan.loanId],
+          extraMonthly,
+          lumpSum,
+          rollover: false,
+        })
+      ),
+    }))
+    .sort((a, b) => b.interestSaved - a.interestSaved);
+
+  const best = PAYOFF_STRATEGIES.reduce((bestSoFar, strategy) =>
+    strategies[strategy].totalInterest < strategies[bestSoFar].totalInterest
+      ? strategy
+      : bestSoFar
+  );
+
+  return { extraMonthly, lumpSum, strategies, prepayment, recommended: best };
+};
+
+module.exports = {
+  calculateEmi,
+  buildAmortisationSchedule,
+  applyLoanPayments,
+  refreshLoanPayments,
+  getLoanStatus,
+  planDebtPayoff,
+};
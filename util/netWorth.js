@@ -0,0 +1,234 @@
+const {
+  Account,
+  Holding,
+  Income,
+  Expense,
+  Transfer,
+  IouEntry,
+} = require("../db/model");
+const { IOU_INFLOW_KINDS } = require("./accounts");
+const {
+  getFrequencyKey,
+  getPeriodStart,
+  getNextPeriodStart,
+  resolvePreferences,
+} = require("./dates");
+
+// Value of a holding at `asOf`: its latest valuation on or before that date,
+// null when it was not valued yet
+const getHoldingValue = (holding, asOf) => {
+  let latest = null;
+  holding.valuations.forEach((valuation) => {
+    if (valuation.date <= asOf && (!latest || valuation.date >= latest.date)) {
+      latest = valuation;
+    }
+  });
+  return latest ? latest.value : null;
+};
+
+// One point per period between start and end, valued at the end of the
+// period (the last one at `end`)
+const getSeriesPoints = (start, end, frequency, preferences) => {
+  const points = [];
+  let periodStart = getPeriodStart(start, frequency, preferences);
+  while (periodStart <= end) {
+    const next = getNextPeriodStart(periodStart, frequency, preferences);
+    points.push({
+      period: getFrequencyKey(periodStart, frequency, preferences),
+      date: new Date(Math.min(next.getTime() - 1, end.getTime())),
+    });
+    periodStart = next;
+  }
+  return points;
+};
+
+// Every balance change of the accounts up to `end`, oldest first
+const getAccountMovements = async (accounts, end) => {
+  const accountIds = accounts.map((account) => account._id);
+  const inScope = new Set(accountIds.map(String));
+  const date = { $lte: end };
+
+  const [incomes, expenses, transfers, iouEntries] = await Promise.all([
+    Income.find(
+      { accountId: { $in: accountIds }, date },
+      "accountId amount date"
+    ).lean(),
+    Expense.find(
+      { accountId: { $in: accountIds }, date },
+      "accountId amount date"
+    ).lean(),
+    Transfer.find(
+      {
+        $or: [
+          { fromAccountId: { $in: accountIds } },
+          { toAccountId: { $in: accountIds } },
+        ],
+        date,
+      },
+      "fromAccountId toAccountId amount date"
+    ).lean(),
+    IouEntry.find(
+      { accountId: { $in: accountIds }, date },
+      "accountId kind amount date"
+    ).lean(),
+  ]);
+
+  return [
+    ...incomes.map((income) => ({
+      accountId: String(income.accountId),
+      date: income.date,
+      amount: income.amount,
+    })),
+    ...expenses.map((expense) => ({
+      accountId: String(expense.accountId),
+      date: expense.date,
+      amount: -expense.amount,
+    })),
+    ...transfers.flatMap((transfer) => [
+      {
+        accountId: String(transfer.fromAccountId),
+        date: transfer.date,
+        amount: -transfer.amount,
+      },
+      {
+        accountId: String(transfer.toAccountId),
+        date: transfer.date,
+        amount: transfer.amount,
+      },
+    ]),
+    ...iouEntries.map((iouEntry) => ({
+      accountId: String(iouEntry.accountId),
+      date: iouEntry.date,
+      amount: IOU_INFLOW_KINDS.includes(iouEntry.kind)
+        ? iouEntry.amount
+        : -iouEntry.amount,
+    })),
+  ]
+    .filter((movement) => inScope.has(movement.accountId))
+    .sort((a, b) => a.date - b.date);
+};
+
+const sumBy = (items, value) =>
+  items.reduce((sum, item) => sum + value(item), 0);
+
+// Assets and liabilities of account balances and holding values. Account
+// balances count as assets, or as liabilities when negative (e.g. credit cards).
+const getTotals = (accountBalances, holdingValues) => {
+  const assets =
+    sumBy(accountBalances, (account) => Math.max(account.balance, 0)) +
+    sumBy(holdingValues, (holding) =>
+      holding.kind === "asset" ? holding.value : 0
+    );
+  const liabilities =
+    sumBy(accountBalances, (account) => Math.max(-account.balance, 0)) +
+    sumBy(holdingValues, (holding) =>
+      holding.kind === "liability" ? holding.value : 0
+    );
+  return { assets, liabilities, netWorth: assets - liabilities };
+};
+
+// Net worth of a user or ledger (`scopeMatch`, see resolveScopeMatch) over
+// time. Holdings are valued by their latest valuation. Amounts are not
+// converted: only accounts and holdings in the user's currency are counted,
+// the others are totalled per currency in the breakdown.
+const getNetWorthSeries = async (
+  scopeMatch,
+  start,
+  end,
+  frequency,
+  preferences
+) => {
+  const [accounts, holdings] = await Promise.all([
+    Account.find(scopeMatch).lean(),
+    Holding.find(scopeMatch).lean(),
+  ]);
+  const accountById = new Map(
+    accounts.map((account) => [String(account._id), account])
+  );
+  const balances = new Map(
+    accounts.map((account) => [String(account._id), account.openingBalance])
+  );
+  const movements = await getAccountMovements(accounts, end);
+  const { currency } = resolvePreferences(preferences);
+  const inCurrency = (item) => item.currency === currency;
+
+  let cursor = 0;
+  const valueAt = (date) => {
+    // Movements are applied in date order as the points move forward
+    while (cursor < movements.length && movements[cursor].date <= date) {
+      const { accountId, date: movedAt, amount } = movements[cursor++];
+      const { openingDate } = accountById.get(accountId);
+      if (!openingDate || movedAt >= openingDate) {
+        balances.set(accountId, balances.get(accountId) + amount);
+      }
+    }
+
+    const accountBalances = accounts
+      .filter((account) => !account.openingDate || account.openingDate <= date)
+      .map((account) => ({
+        accountId: account._id,
+        name: account.name,
+        type: account.type,
+        currency: account.currency,
+        balance: balances.get(String(account._id)),
+      }));
+    const holdingValues = holdings
+      .map((holding) => ({
+        holdingId: holding._id,
+        name: holding.name,
+        kind: holding.kind,
+        currency: holding.currency,
+        value: getHoldingValue(holding, date),
+      }))
+      .filter((holding) => holding.value !== null);
+
+    return { accountBalances, holdingValues };
+  };
+
+  const series = getSeriesPoints(start, end, frequency, preferences).map(
+    (point) => {
+      const { accountBalances, holdingValues } = valueAt(point.date);
+      const counted = accountBalances.filter(inCurrency);
+      return {
+        ...point,
+        ...getTotals(counted, holdingValues.filter(inCurrency)),
+        accountsBalance: sumBy(counted, (account) => account.balance),
+      };
+    }
+  );
+
+  // Breakdown at the end of the range
+  const { accountBalances, holdingValues } = valueAt(end);
+  const otherCurrencies = {};
+  new Set(
+    [...accountBalances, ...holdingValues]
+      .map((item) => item.currency)
+      .filter((itemCurrency) => itemCurrency !== currency)
+  ).forEach((itemCurrency) => {
+    const ofCurrency = (item) => item.currency === itemCurrency;
+    otherCurrencies[itemCurrency] = getTotals(
+      accountBalances.filter(ofCurrency),
+      holdingValues.filter(ofCurrency)
+    );
+  });
+
+  return {
+    series,
+    breakdown: {
+      date: end,
+      currency,
+      ...getTotals(
+        accountBalances.filter(inCurrency),
+        holdingValues.filter(inCurrency)
+      ),
+      accounts: accountBalances,
+      holdings: holdingValues,
+      otherCurrencies,
+    },
+  };
+};
+
+module.exports = {
+  getHoldingValue,
+  getNetWorthSeries,
+};
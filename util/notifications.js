@@ -0,0 +1,71 @@
+const { Notification, User } = require("../db/model");
+const { sendMail } = require("./mailer");
+const { generateActionEmailHTML } = require("./common");
+
+// Delivery channels used for types the user has not configured
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  "budget-alert": { inApp: true, email: false },
+  "recurring-reminder": { inApp: true, email: true },
+  "bill-reminder": { inApp: true, email: true },
+  "import-completed": { inApp: true, email: false },
+  "iou-reminder": { inApp: true, email: false },
+};
+
+// Channels of every notification type for the user, defaults filled in
+const resolveNotificationPreferences = (user) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_NOTIFICATION_PREFERENCES).map(([type, defaults]) => {
+      const saved = user?.notificationPreferences?.get(type);
+      return [
+        type,
+        {
+          inApp: saved?.inApp ?? defaults.inApp,
+          email: saved?.email ?? defaults.email,
+        },
+      ];
+    })
+  );
+
+// Publish a notification to the user on the channels they chose for its type.
+// With a `dedupeKey` it is only sent once per user, later calls with the same
+// key (and types the user switched off entirely) return null.
+const notify = async (userId, { type, title, message, payload, dedupeKey }) => {
+  const user = await User.findById(userId, "email notificationPreferences");
+  if (!user) return null;
+
+  const channels = resolveNotificationPreferences(user)[type];
+  if (!channels.inApp && !channels.email) return null;
+
+  // Email-only notifications are stored too, hidden, so de-duplication works
+  let notification;
+  try {
+    notification = await Notification.create({
+      userId,
+      type,
+      title,
+      message,
+      payload,
+      inApp: channels.inApp,
+      dedupeKey,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // Already notified
+    throw err;
+  }
+
+  if (channels.email) {
+    await sendMail({
+      from: process.env.SENDER_EMAIL,
+      to: user.email,
+      subject: title,
+      html: generateActionEmailHTML({ title, message }),
+    });
+  }
+  return notification;
+};
+
+module.exports = {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  resolveNotificationPreferences,
+  notify,
+};
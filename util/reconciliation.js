@@ -0,0 +1,358 @@
+const mongoose = require("mongoose");
+const {
+  Income,
+  Expense,
+  Transfer,
+  IouEntry,
+  Reconciliation,
+} = require("../db/model");
+const { parseDateBoundary } = require("./dates");
+const { getAccountBalance, getAccountStatement } = require("./accounts");
+
+// Raised for statement data that cannot be reconciled (maps to 400)
+class ReconciliationError extends Error {}
+
+// Raised when changing a transaction cleared in a reconciled period (maps to 409)
+class TransactionLockedError extends Error {}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Banks often book a transaction a few days after it was entered in the app
+const MATCH_WINDOW_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.005;
+
+// Model of each statement entry kind (see getAccountStatement)
+const ENTRY_MODELS = {
+  income: Income,
+  expense: Expense,
+  "transfer-in": Transfer,
+  "transfer-out": Transfer,
+  "iou-in": IouEntry,
+  "iou-out": IouEntry,
+};
+
+// Where the clearing fields of each entry kind live, transfers are cleared
+// separately on the statement of either account
+const CLEARING_PREFIXES = {
+  "transfer-in": "toClearing.",
+  "transfer-out": "fromClearing.",
+};
+
+const DAY_FIRST_DATE_REGEX = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// "1,234.50", "₹ -20" or 20 -> number, null when there is no amount
+const parseStatementAmount = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return value;
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ""));
+  return Number.isNaN(amount) ? null : amount;
+};
+
+// Statement dates are YYYY-MM-DD, DD/MM/YYYY (as printed by Indian banks) or
+// anything Date understands
+const parseStatementDate = (value, preferences) => {
+  const text = String(value ?? "").trim();
+  const dayFirst = text.match(DAY_FIRST_DATE_REGEX);
+  const isoText = dayFirst
+    ? [
+        dayFirst[3],
+        dayFirst[2].padStart(2, "0"),
+        dayFirst[1].padStart(2, "0"),
+      ].join("-")
+    : text;
+  const date = parseDateBoundary(isoText, preferences);
+  return text && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Normalize statement records (e.g. the output of /api/import-config analyze)
+// into lines. A record has either a signed `amount` or `debit`/`credit` columns.
+const parseStatementLines = (records, preferences) => {
+  if (!Array.isArray(records)) {
+    throw new ReconciliationError("lines must be an array of statement lines");
+  }
+
+  return records.map((record, index) => {
+    const date = parseStatementDate(record.date, preferences);
+    const amount =
+      parseStatementAmount(record.amount) ??
+      (parseStatementAmount(record.credit) || 0) -
+        (parseStatementAmount(record.debit) || 0);
+
+    if (!date || !amount) {
+      throw new ReconciliationError(
+        `Statement line ${index + 1} needs a valid date and amount`
+      );
+    }
+
+    return {
+      date,
+      amount: roundAmount(amount),
+      description: record.description || record.narration || "",
+    };
+  });
+};
+
+// Statement balance at the start of a period: the closing balance of the
+// previous reconciliation, or else the account balance in the app
+const getDefaultOpeningBalance = async (account, periodStart) => {
+  const previous = await Reconciliation.findOne({
+    accountId: account._id,
+    periodEnd: { $lt: periodStart },
+  }).sort({ periodEnd: -1 });
+  if (previous) return previous.statementClosingBalance;
+
+  const balance = await getAccountBalance(
+    account,
+    new Date(periodStart.getTime() - 1)
+  );
+  return balance ? balance.balance : account.openingBalance;
+};
+
+// Account entries that can match the statement lines of a reconciliation
+const getCandidateEntries = async (account, reconciliation) => {
+  const window = MATCH_WINDOW_DAYS * DAY_MS;
+  const { entries } = await getAccountStatement(
+    account,
+    new Date(reconciliation.periodStart.getTime() - window),
+    new Date(reconciliation.periodEnd.getTime() + window)
+  );
+  return entries;
+};
+
+const isClearedBy = (entry, reconciliation) =>
+  String(entry.reconciliationId) === String(reconciliation._id);
+
+// Pair every unmatched line with the uncleared entry of the same amount that
+// is closest in date (within the match window)
+const findAutoMatches = (reconciliation, entries) => {
+  const matchedLineIds = new Set(
+    entries
+      .filter((entry) => isClearedBy(entry, reconciliation))
+      .map((entry) => String(entry.statementLineId))
+  );
+  const available = entries.filter((entry) => !entry.reconciliationId);
+
+  const matches = [];
+  [...reconciliation.lines]
+    .filter((line) => !matchedLineIds.has(String(line._id)))
+    .sort((a, b) => a.date - b.date)
+    .forEach((line) => {
+      let best = null;
+      available.forEach((entry) => {
+        const distance = Math.abs(entry.date - line.date);
+        if (
+          Math.abs(entry.amount - line.amount) < AMOUNT_TOLERANCE &&
+          distance <= MATCH_WINDOW_DAYS * DAY_MS &&
+          (!best || distance < Math.abs(best.date - line.date))
+        ) {
+          best = entry;
+        }
+      });
+      if (best) {
+        available.splice(available.indexOf(best), 1);
+        matches.push({ line, entry: best });
+      }
+    });
+  return matches;
+};
+
+// Mark an entry as cleared by a statement line
+const clearEntry = async (entry, reconciliation, lineId, session) => {
+  const prefix = CLEARING_PREFIXES[entry.kind] || "";
+  await ENTRY_MODELS[entry.kind].updateOne(
+    { _id: entry.id },
+    {
+      [`${prefix}reconciliationId`]: reconciliation._id,
+      [`${prefix}statementLineId`]: lineId,
+      [`${prefix}clearedAt`]: new Date(),
+    },
+    { session }
+  );
+  Object.assign(entry, {
+    cleared: true,
+    reconciliationId: reconciliation._id,
+    statementLineId: lineId,
+  });
+};
+
+// Un-clear the entries of a reconciliation, optionally only the one of `lineId`
+const unclearEntries = async (reconciliation, lineId, session) => {
+  const targets = [
+    ...[Income, Expense, IouEntry].map((model) => ({ model, prefix: "" })),
+    ...["fromClearing.", "toClearing."].map((prefix) => ({
+      model: Transfer,
+      prefix,
+    })),
+  ];
+  for (const { model, prefix } of targets) {
+    await model.updateMany(
+      {
+        [`${prefix}reconciliationId`]: reconciliation._id,
+        ...(lineId ? { [`${prefix}statementLineId`]: lineId } : {}),
+      },
+      {
+        [`${prefix}reconciliationId`]: null,
+        [`${prefix}statementLineId`]: null,
+        [`${prefix}clearedAt`]: null,
+      },
+      { session }
+    );
+  }
+};
+
+// Lines missing in the app, app entries missing on the statement and whether
+// the cleared entries add up to the statement closing balance
+const summarizeReconciliation = (reconciliation, entries) => {
+  const entryByLineId = new Map(
+    entries
+      .filter((entry) => isClearedBy(entry, reconciliation))
+      .map((entry) => [String(entry.statementLineId), entry])
+  );
+
+  const lines = reconciliation.lines.map((line) => ({
+    _id: line._id,
+    date: line.date,
+    amount: line.amount,
+    description: line.description,
+    matchedEntry: entryByLineId.get(String(line._id)) || null,
+  }));
+  const unmatchedLines = lines.filter((line) => !line.matchedEntry);
+  const missingFromStatement = entries.filter(
+    (entry) =>
+      !entry.reconciliationId &&
+      entry.date >= reconciliation.periodStart &&
+      entry.date <= reconciliation.periodEnd
+  );
+
+  const statementTotal = roundAmount(
+    lines.reduce((sum, line) => sum + line.amount, 0)
+  );
+  const clearedTotal = roundAmount(
+    [...entryByLineId.values()].reduce((sum, entry) => sum + entry.amount, 0)
+  );
+  const clearedBalance = roundAmount(
+    reconciliation.statementOpeningBalance + clearedTotal
+  );
+  const difference = roundAmount(
+    reconciliation.statementClosingBalance - clearedBalance
+  );
+
+  return {
+    lines,
+    unmatchedLines,
+    missingFromStatement,
+    totals: {
+      statementOpeningBalance: reconciliation.statementOpeningBalance,
+      statementClosingBalance: reconciliation.statementClosingBalance,
+      statementTotal,
+      clearedTotal,
+      clearedBalance,
+      difference,
+    },
+    balanced:
+      unmatchedLines.length === 0 && Math.abs(difference) < AMOUNT_TOLERANCE,
+  };
+};
+
+// Auto-match the open lines of a reconciliation, plus an optional manual
+// `match` ({ lineId, entry }), and flag the period as reconciled once the
+// totals agree. Returns the summary.
+const runReconciliation = async (reconciliation, account, match = null) => {
+  const entries = await getCandidateEntries(account, reconciliation);
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (match) {
+      const entry = entries.find(
+        (candidate) =>
+          candidate.kind === match.kind &&
+          String(candidate.id) === String(match.entryId)
+      );
+      if (!entry || !reconciliation.lines.id(match.lineId)) {
+        throw new ReconciliationError(
+          "Statement line or transaction not found around this period"
+        );
+      }
+      if (entry.reconciliationId) {
+        throw new ReconciliationError("Transaction is already cleared");
+      }
+      await unclearEntries(reconciliation, match.lineId, session);
+      entries
+        .filter(
+          (candidate) =>
+            isClearedBy(candidate, reconciliation) &&
+            String(candidate.statementLineId) === String(match.lineId)
+        )
+        .forEach((candidate) =>
+          Object.assign(candidate, {
+            cleared: false,
+            reconciliationId: null,
+            statementLineId: null,
+          })
+        );
+      await clearEntry(entry, reconciliation, match.lineId, session);
+    }
+
+    for (const { line, entry } of findAutoMatches(reconciliation, entries)) {
+      await clearEntry(entry, reconciliation, line._id, session);
+    }
+
+    const summary = summarizeReconciliation(reconciliation, entries);
+    if (summary.balanced) {
+      reconciliation.status = "reconciled";
+      reconciliation.reconciledAt = new Date();
+      await reconciliation.save({ session });
+    }
+
+    await session.commitTransaction();
+    return summary;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Summary of a reconciliation without changing any match
+const getReconciliationSummary = async (reconciliation, account) =>
+  summarizeReconciliation(
+    reconciliation,
+    await getCandidateEntries(account, reconciliation)
+  );
+
+// Refuse changes to a transaction cleared in a reconciled period. `filter`
+// selects the transaction the same way the route does.
+const assertTransactionUnlocked = async (model, filter) => {
+  const doc = await model.findOne(filter).lean();
+  if (!doc) return;
+
+  // Either side of a transfer locks it
+  const reconciliationIds = [doc, doc.fromClearing, doc.toClearing]
+    .filter((clearing) => clearing?.clearedAt && clearing.reconciliationId)
+    .map((clearing) => clearing.reconciliationId);
+  if (!reconciliationIds.length) return;
+
+  const locked = await Reconciliation.exists({
+    _id: { $in: reconciliationIds },
+    status: "reconciled",
+  });
+  if (locked) {
+    throw new TransactionLockedError(
+      "Transaction is cleared in a reconciled statement period, reopen the reconciliation to change it"
+    );
+  }
+};
+
+module.exports = {
+  ReconciliationError,
+  TransactionLockedError,
+  parseStatementLines,
+  getDefaultOpeningBalance,
+  unclearEntries,
+  runReconciliation,
+  getReconciliationSummary,
+  assertTransactionUnlocked,
+};
@@ -0,0 +1,233 @@
+const mongoose = require("mongoose");
+const { Recurring, Expense, Income, Trip, User } = require("../db/model");
+const {
+  getZonedParts,
+  zonedMidnight,
+  getStartOfDay,
+  resolvePreferences,
+} = require("./dates");
+const { formatAmount } = require("./common");
+const { notify } = require("./notifications");
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Date (local midnight in `timezone`) of the occurrence number `index` of a
+// template's rule. Counting from the start date avoids drift, e.g. a rule on
+// the 31st falls on the last day of shorter months and back on the 31st after.
+const getOccurrenceDate = (recurring, index, timezone) => {
+  const { frequency, interval = 1, dayOfMonth, month } = recurring.rule;
+  const start = getZonedParts(recurring.startDate, timezone);
+  const step = index * interval;
+
+  switch (frequency) {
+    case "daily":
+      return zonedMidnight(start.year, start.month, start.day + step, timezone);
+    case "weekly":
+      return zonedMidnight(
+        start.year,
+        start.month,
+        start.day + step * 7,
+        timezone
+      );
+    case "yearly": {
+      const year = start.year + step;
+      const targetMonth = month || start.month;
+      const day = Math.min(
+        dayOfMonth || start.day,
+        daysInMonth(year, targetMonth)
+      );
+      return zonedMidnight(year, targetMonth, day, timezone);
+    }
+    case "monthly":
+    default: {
+      const monthIndex = start.year * 12 + (start.month - 1) + step;
+      const year = Math.floor(monthIndex / 12);
+      const targetMonth = (monthIndex % 12) + 1;
+      const day = Math.min(
+        dayOfMonth || start.day,
+        daysInMonth(year, targetMonth)
+      );
+      return zonedMidnight(year, targetMonth, day, timezone);
+    }
+  }
+};
+
+// Index of the first occurrence on or after `from` (and on or after the start
+// date, a day of month earlier than the start day begins the next period)
+const getFirstOccurrenceIndex = (recurring, from, timezone) => {
+  const threshold = new Date(
+    Math.max(getStartOfDay(from, { timezone }), recurring.startDate)
+  );
+  let index = 0;
+  while (getOccurrenceDate(recurring, index, timezone) < threshold) index++;
+  return index;
+};
+
+// Next run of the template from its occurrence index, null once past the end date
+const getNextRunAt = (recurring, timezone) => {
+  const next = getOccurrenceDate(
+    recurring,
+    recurring.occurrenceIndex,
+    timezone
+  );
+  return recurring.endDate && next > recurring.endDate ? null : next;
+};
+
+// The next `count` occurrence dates of a template
+const getUpcomingOccurrences = (recurring, timezone, count = 5) => {
+  const occurrences = [];
+  for (let i = 0; i < count; i++) {
+    const date = getOccurrenceDate(
+      recurring,
+      recurring.occurrenceIndex + i,
+      timezone
+    );
+    if (recurring.endDate && date > recurring.endDate) break;
+    occurrences.push(date);
+  }
+  return occurrences;
+};
+
+// Create the Expense or Income of a template dated `date` (and add an expense
+// to the template's trip)
+const postOccurrence = async (recurring, date, session, overrides = {}) => {
+  const common = {
+    userId: recurring.userId,
+    ledgerId: recurring.ledgerId,
+    categoryId: recurring.categoryId,
+    amount: overrides.amount ?? recurring.amount,
+    date,
+    type: recurring.type,
+    recurringId: recurring._id,
+  };
+
+  if (recurring.kind === "income") {
+    const [income] = await Income.create(
+      [{ ...common, source: recurring.description }],
+      { session }
+    );
+    return income;
+  }
+
+  const [expense] = await Expense.create(
+    [
+      {
+        ...common,
+        description: recurring.description,
+        needOrWant: recurring.needOrWant,
+      },
+    ],
+    { session }
+  );
+  if (recurring.tripId) {
+    await Trip.findByIdAndUpdate(
+      recurring.tripId,
+      { $push: { expenses: expense._id } },
+      { session }
+    );
+  }
+  return expense;
+};
+
+const sendReminder = (recurring, date, preferences) =>
+  notify(recurring.userId, {
+    type: "recurring-reminder",
+    title: `Reminder: ${recurring.description}`,
+    message: `${recurring.description} (${formatAmount(
+      recurring.amount,
+      preferences
+    )}) is due on ${date.toLocaleDateString(preferences.locale, {
+      timeZone: preferences.timezone,
+    })}. Record it once it is paid.`,
+    payload: {
+      recurringId: recurring._id,
+      kind: recurring.kind,
+      amount: recurring.amount,
+      date,
+    },
+    dedupeKey: `recurring-reminder:${recurring._id}:${date.toISOString()}`,
+  });
+
+// Process every occurrence of a template up to `now`, catching up on runs
+// missed while the server was down. Auto-post templates post each missed
+// occurrence on its own date; remind templates only remind about the latest.
+const processRecurring = async (recurring, now, preferences) => {
+  let reminderDate = null;
+
+  while (recurring.nextRunAt && recurring.nextRunAt <= now) {
+    const occurrenceDate = recurring.nextRunAt;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      if (recurring.mode === "auto-post") {
+        await postOccurrence(recurring, occurrenceDate, session);
+      } else {
+        reminderDate = occurrenceDate;
+      }
+
+      // Moving on from the expected index keeps two runners from posting twice
+      const nextIndex = recurring.occurrenceIndex + 1;
+      const nextRunAt = getNextRunAt(
+        { ...recurring.toObject(), occurrenceIndex: nextIndex },
+        preferences.timezone
+      );
+      const result = await Recurring.updateOne(
+        { _id: recurring._id, occurrenceIndex: recurring.occurrenceIndex },
+        { occurrenceIndex: nextIndex, nextRunAt, lastRunAt: occurrenceDate },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        await session.abortTransaction();
+        return;
+      }
+
+      await session.commitTransaction();
+      recurring.occurrenceIndex = nextIndex;
+      recurring.nextRunAt = nextRunAt;
+      recurring.lastRunAt = occurrenceDate;
+    } catch (err) {
+      await session.abortTransaction();
+      throw err;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  if (reminderDate) {
+    await sendReminder(recurring, reminderDate, preferences);
+  }
+};
+
+// Scheduler job: run every active template that is due
+const runDueRecurring = async (now = new Date()) => {
+  const dueTemplates = await Recurring.find({
+    active: true,
+    nextRunAt: { $ne: null, $lte: now },
+  });
+
+  const preferencesByUser = new Map();
+  for (const recurring of dueTemplates) {
+    const userKey = String(recurring.userId);
+    if (!preferencesByUser.has(userKey)) {
+      const user = await User.findById(recurring.userId, "preferences");
+      preferencesByUser.set(userKey, resolvePreferences(user?.preferences));
+    }
+
+    try {
+      await processRecurring(recurring, now, preferencesByUser.get(userKey));
+    } catch (err) {
+      // One broken template must not stop the others
+      console.error(`[Recurring] ${recurring._id} failed:`, err);
+    }
+  }
+};
+
+module.exports = {
+  getOccurrenceDate,
+  getFirstOccurrenceIndex,
+  getNextRunAt,
+  getUpcomingOccurrences,
+  postOccurrence,
+  runDueRecurring,
+};
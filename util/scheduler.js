@@ -0,0 +1,23 @@
+// Minimal in-process job runner for periodic background work.
+// Each job runs once on startup and then every `intervalMs`; a run is skipped
+// while the previous one is still in progress.
+const scheduleJob = (name, intervalMs, task) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`[Scheduler] ${name} failed:`, err);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMs);
+};
+
+module.exports = { scheduleJob };
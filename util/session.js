@@ -0,0 +1,118 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { User, Session } = require("../db/model");
+const { generateRandomToken, hashToken } = require("./tokens");
+require("dotenv").config();
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MAX_PREVIOUS_REFRESH_TOKENS = 20;
+
+// Raised when a refresh token cannot be exchanged (maps to 401)
+class SessionError extends Error {}
+
+// Short-lived access token bound to a session
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { userId: user._id, email: user.email, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRATION || "15m" }
+  );
+
+// Refresh tokens carry the session id so the session can be found without a hash scan
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const refreshExpiryDate = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Start a new device session and return its token pair
+const createSession = async (user, req) => {
+  const secret = generateRandomToken();
+  const session = new Session({
+    userId: user._id,
+    deviceName: req.body?.deviceName,
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiryDate(),
+  });
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: buildRefreshToken(session, secret),
+  };
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Presenting an already rotated token revokes the whole session.
+const refreshSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new SessionError("Invalid refresh token");
+  }
+  const presentedHash = hashToken(secret);
+  const nextSecret = generateRandomToken();
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiryDate(),
+      },
+      $push: {
+        previousRefreshTokenHashes: {
+          $each: [presentedHash],
+          $slice: -MAX_PREVIOUS_REFRESH_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previousRefreshTokenHashes: presentedHash },
+      { revokedAt: new Date(), revokedReason: "reuse-detected" }
+    );
+    if (reused) {
+      throw new SessionError("Refresh token reuse detected, session revoked");
+    }
+    throw new SessionError("Invalid or expired refresh token");
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    throw new SessionError("Invalid or expired refresh token");
+  }
+
+  return {
+    token: signAccessToken(user, session),
+    refreshToken: buildRefreshToken(session, nextSecret),
+  };
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  refreshSession,
+  revokeUserSessions,
+  SessionError,
+};
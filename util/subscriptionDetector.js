@@ -0,0 +1,242 @@
+const { Expense, Recurring } = require("../db/model");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cadences a subscription can have, with the rule of the recurring template
+// it converts to. `tolerance` is how many days a charge may drift.
+const CADENCES = [
+  { name: "weekly", days: 7, tolerance: 2, rule: { frequency: "weekly" } },
+  {
+    name: "biweekly",
+    days: 14,
+    tolerance: 3,
+    rule: { frequency: "weekly", interval: 2 },
+  },
+  {
+    name: "monthly",
+    days: 30.44,
+    tolerance: 5,
+    rule: { frequency: "monthly" },
+  },
+  {
+    name: "quarterly",
+    days: 91.31,
+    tolerance: 10,
+    rule: { frequency: "monthly", interval: 3 },
+  },
+  {
+    name: "yearly",
+    days: 365.25,
+    tolerance: 20,
+    rule: { frequency: "yearly" },
+  },
+];
+
+const MIN_CHARGES = 3;
+// Yearly charges need a longer history to have MIN_CHARGES of them
+const YEARLY_LOOKBACK_MONTHS = 12 * MIN_CHARGES;
+const AMOUNT_TOLERANCE = 0.3; // Charges within 30% of the typical amount
+const MATCHING_SHARE = 0.7; // Share of intervals/amounts that must fit the pattern
+const PRICE_CHANGE_THRESHOLD = 0.02; // Ignore changes below 2%
+
+// Merchant name of a bank description, e.g. "(Zomato - Home) Paid to ZOMATO
+// Private Limited" -> "zomato". Returns "" when nothing is left.
+const normalizeMerchant = (description = "") =>
+  description
+    .toLowerCase()
+    .replace(/^\(.*?\)\s*/, "") // Note added by the payment app
+    .replace(/^(paid to|payment to|money sent to|sent to|debit to)\s+/, "")
+    .replace(/\.(com|in|net|org|co)\b/g, "") // netflix.com -> netflix
+    .replace(/\b(private|pvt|limited|ltd|llp|inc|india)\b\.?/g, "")
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach((value) =>
+    counts.set(String(value), (counts.get(String(value)) || 0) + 1)
+  );
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? values.find((value) => String(value) === best[0]) : null;
+};
+
+const addCadence = (date, cadence) => {
+  const next = new Date(date);
+  if (cadence.name === "monthly") next.setUTCMonth(next.getUTCMonth() + 1);
+  else if (cadence.name === "quarterly")
+    next.setUTCMonth(next.getUTCMonth() + 3);
+  else if (cadence.name === "yearly")
+    next.setUTCFullYear(next.getUTCFullYear() + 1);
+  else next.setTime(next.getTime() + cadence.days * DAY_MS);
+  return next;
+};
+
+// The cadence most intervals between charges fit, or null
+const detectCadence = (intervals) => {
+  const typical = median(intervals);
+  const cadence = CADENCES.find(
+    (candidate) => Math.abs(typical - candidate.days) <= candidate.tolerance
+  );
+  if (!cadence) return null;
+  const fitting = intervals.filter(
+    (days) => Math.abs(days - cadence.days) <= cadence.tolerance
+  );
+  return fitting.length / intervals.length >= MATCHING_SHARE ? cadence : null;
+};
+
+// Latest price increase of a subscription, or null
+const findPriceIncrease = (charges) => {
+  for (let i = charges.length - 1; i > 0; i--) {
+    const previous = charges[i - 1].amount;
+    const current = charges[i].amount;
+    if (Math.abs(current - previous) / previous <= PRICE_CHANGE_THRESHOLD) {
+      continue;
+    }
+    if (current < previous) return null; // Latest change was a decrease
+    return {
+      previousAmount: previous,
+      currentAmount: current,
+      changedOn: charges[i].date,
+      percent: Math.round(((current - previous) / previous) * 1000) / 10,
+    };
+  }
+  return null;
+};
+
+// Analyse one merchant's charges, returns the subscription or null
+const analyseCharges = (key, charges, now) => {
+  // Several charges on the same day count once (e.g. split payments)
+  const byDay = new Map();
+  charges.forEach((charge) => {
+    const day = charge.date.toISOString().slice(0, 10);
+    const existing = byDay.get(day);
+    byDay.set(
+      day,
+      existing
+        ? { ...existing, amount: existing.amount + charge.amount }
+        : { ...charge }
+    );
+  });
+  const daily = [...byDay.values()].sort((a, b) => a.date - b.date);
+  if (daily.length < MIN_CHARGES) return null;
+
+  const intervals = daily
+    .slice(1)
+    .map((charge, i) => (charge.date - daily[i].date) / DAY_MS);
+  const cadence = detectCadence(intervals);
+  if (!cadence) return null;
+
+  const amounts = daily.map((charge) => charge.amount);
+  const typicalAmount = median(amounts);
+  const stable = amounts.filter(
+    (amount) =>
+      Math.abs(amount - typicalAmount) / typicalAmount <= AMOUNT_TOLERANCE
+  );
+  if (stable.length / amounts.length < MATCHING_SHARE) return null;
+
+  const last = daily[daily.length - 1];
+  const nextExpectedDate = addCadence(last.date, cadence);
+  const stopped =
+    now - nextExpectedDate >
+    Math.max(cadence.tolerance, cadence.days / 2) * DAY_MS;
+
+  return {
+    merchant: key,
+    description: mostCommon(charges.map((charge) => charge.description)),
+    cadence: cadence.name,
+    averageIntervalDays: Math.round(median(intervals) * 10) / 10,
+    typicalAmount: Math.round(typicalAmount * 100) / 100,
+    lastAmount: last.amount,
+    firstChargeDate: daily[0].date,
+    lastChargeDate: last.date,
+    nextExpectedDate: stopped ? null : nextExpectedDate,
+    occurrences: daily.length,
+    status: stopped ? "stopped" : "active",
+    priceIncrease: findPriceIncrease(daily),
+    categoryId: mostCommon(charges.map((charge) => charge.categoryId)),
+    needOrWant: mostCommon(charges.map((charge) => charge.needOrWant)),
+    recurringId: mostCommon(
+      charges.map((charge) => charge.recurringId).filter(Boolean)
+    ),
+    expenseIds: charges.map((charge) => charge._id),
+  };
+};
+
+// Find likely subscriptions in the expenses of a scope ({ userId } or
+// { ledgerId }) over the last `months` months. Yearly subscriptions are looked
+// for over at least YEARLY_LOOKBACK_MONTHS.
+const detectSubscriptions = async (
+  scopeMatch,
+  { months = 18, now = new Date() } = {}
+) => {
+  const monthsAgo = (count) => {
+    const date = new Date(now);
+    date.setUTCMonth(date.getUTCMonth() - count);
+    return date;
+  };
+  const since = monthsAgo(months);
+
+  const expenses = await Expense.find(
+    {
+      ...scopeMatch,
+      date: {
+        $gte: monthsAgo(Math.max(months, YEARLY_LOOKBACK_MONTHS)),
+        $lte: now,
+      },
+    },
+    "description amount date categoryId needOrWant recurringId"
+  ).lean();
+
+  const byMerchant = new Map();
+  expenses.forEach((expense) => {
+    const key = normalizeMerchant(expense.description);
+    if (!key || !(expense.amount > 0)) return;
+    byMerchant.set(key, [...(byMerchant.get(key) || []), expense]);
+  });
+
+  // Templates already created for a merchant
+  const templates = await Recurring.find(
+    { ...scopeMatch, kind: "expense" },
+    "description"
+  ).lean();
+  const templateByMerchant = new Map(
+    templates.map((template) => [
+      normalizeMerchant(template.description),
+      template._id,
+    ])
+  );
+
+  const subscriptions = [];
+  byMerchant.forEach((charges, key) => {
+    const recent = charges.filter((charge) => charge.date >= since);
+    let subscription = analyseCharges(key, recent, now);
+    if (!subscription) {
+      const yearly = analyseCharges(key, charges, now);
+      if (yearly?.cadence === "yearly") subscription = yearly;
+    }
+    if (!subscription) return;
+    subscription.recurringId =
+      subscription.recurringId || templateByMerchant.get(key) || null;
+    subscriptions.push(subscription);
+  });
+
+  return subscriptions.sort((a, b) => b.typicalAmount - a.typicalAmount);
+};
+
+const getCadenceRule = (cadenceName) =>
+  CADENCES.find((cadence) => cadence.name === cadenceName)?.rule || null;
+
+module.exports = {
+  normalizeMerchant,
+  detectSubscriptions,
+  getCadenceRule,
+};
@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+require("dotenv").config();
+
+// Random opaque token (hex) for links and one-time secrets
+const generateRandomToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// SHA-256 digest used to store tokens without keeping the raw value
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Sign a short-lived JWT that can only be used for the given purpose
+const signPurposeToken = (payload, purpose, expiresIn) =>
+  jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+
+// Verify a purpose token, throws if the signature, expiry or purpose is wrong
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new Error("Token is not valid for this action");
+  }
+  return decoded;
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  signPurposeToken,
+  verifyPurposeToken,
+};